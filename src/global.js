@@ -56,9 +56,21 @@ export const registeredContextMenu = [];
 export const registeredShortcut = [];
 
 /**
- * Store the copy time.
+ * Store the selectable filter option for a given workspace (as a key).
  */
-let timestamp = 0;
+export const selectableFilterWeakMap = new WeakMap();
+
+/**
+ * Store the code generator used to copy the selection as code for a given
+ * workspace (as a key).
+ */
+export const codeGeneratorWeakMap = new WeakMap();
+
+/**
+ * Store the last client position of the pointer over a given workspace
+ * (as a key), while the pointer is over it.
+ */
+export const pointerPositionWeakMap = new WeakMap();
 
 // TODO: Update custom enum below into actual enum
 //  if plugin is updated to TypeScript.
@@ -113,55 +125,963 @@ export const getByID = function(workspace, id) {
 };
 
 /**
- * Store copy information for blocks in localStorage.
+ * Check if the element can be part of the multiple selection, including the
+ * `selectableFilter` option of its workspace.
+ * @param {Blockly.IDraggable} element The element to check.
+ * @returns {boolean} true if the element is selectable.
  */
-export const dataCopyToStorage = function() {
-  const storage = [];
-  copyData.forEach((data) => {
-    delete data['source'];
-    storage.push(data);
+export const isSelectable = function(element) {
+  if (!element) {
+    return false;
+  }
+  if (element instanceof Blockly.BlockSvg) {
+    if (!(element.isDeletable() || element.isMovable()) ||
+        element.isShadow() || element.type === 'drag_to_dupe') {
+      return false;
+    }
+  } else if (!(element.isMovable() || element.isDeletable())) {
+    return false;
+  }
+  const selectableFilter = selectableFilterWeakMap.get(element.workspace);
+  return !selectableFilter || !!selectableFilter(element);
+};
+
+/**
+ * Add the element to the multiple selection of its workspace.
+ * @param {!Blockly.IDraggable} element The element to add.
+ */
+export const addToSelection = function(element) {
+  const workspace = element.workspace;
+  dragSelectionWeakMap.get(workspace).add(element.id);
+  multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
+  if (element instanceof Blockly.BlockSvg) {
+    element.pathObject.updateSelected(true);
+    element.bringToFront();
+  } else {
+    element.select();
+  }
+};
+
+/**
+ * Remove the element from the multiple selection of its workspace.
+ * @param {!Blockly.IDraggable} element The element to remove.
+ */
+export const removeFromSelection = function(element) {
+  const workspace = element.workspace;
+  dragSelectionWeakMap.get(workspace).delete(element.id);
+  multiDraggableWeakMap.get(workspace).removeSubDraggable_(element);
+  if (element instanceof Blockly.BlockSvg) {
+    element.pathObject.updateSelected(false);
+  } else {
+    element.unselect();
+  }
+};
+
+/**
+ * Remove all the elements from the multiple selection of the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to clear.
+ */
+export const clearSelection = function(workspace) {
+  multiDraggableWeakMap.get(workspace).clearAll_();
+  dragSelectionWeakMap.get(workspace).clear();
+};
+
+/**
+ * Get the elements of the workspace that can be multiple selected at once,
+ * i.e. the top blocks with the blocks next to them in their stacks and the
+ * workspace comments.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to look in.
+ * @returns {!Array<!Blockly.IDraggable>} The selectable elements.
+ */
+export const getSelectableElements = function(workspace) {
+  const elements = [];
+  workspace.getTopBlocks().forEach((block) => {
+    while (block) {
+      elements.push(block);
+      block = block.getNextBlock();
+    }
   });
-  timestamp = Date.now();
-  localStorage.setItem('blocklyStashMulti', JSON.stringify(storage));
-  localStorage.setItem('blocklyStashConnection',
-      JSON.stringify(connectionDBList));
-  localStorage.setItem('blocklyStashTime', timestamp);
+  elements.push(...workspace.getTopComments());
+  return elements.filter((element) => isSelectable(element) &&
+      !(element instanceof Blockly.BlockSvg && element.isInsertionMarker()));
 };
 
 /**
- * Get copy information for blocks from localStorage.
+ * Select the selectable elements of the workspace which are not selected,
+ * and deselect the ones which are.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to update.
  */
-export const dataCopyFromStorage = function() {
-  const storage = JSON.parse(localStorage.getItem('blocklyStashMulti'));
-  const connection = JSON.parse(localStorage.getItem('blocklyStashConnection'));
-  const time = localStorage.getItem('blocklyStashTime');
-  if (storage && parseInt(time) > timestamp) {
-    timestamp = time;
-    copyData.clear();
-    storage.forEach((data) => {
-      copyData.add(data);
-    });
-    connectionDBList.length = 0;
-    connection.forEach((data) => {
-      connectionDBList.push(data);
+export const invertSelection = function(workspace) {
+  const selectedIds = new Set(dragSelectionWeakMap.get(workspace));
+  const selected = Blockly.getSelected();
+  if (!selectedIds.size && selected && selected.workspace === workspace) {
+    selectedIds.add(selected.id);
+  }
+  clearSelection(workspace);
+  getSelectableElements(workspace).forEach((element) => {
+    if (!selectedIds.has(element.id)) {
+      addToSelection(element);
+    }
+  });
+  updateSelected(workspace);
+};
+
+/**
+ * Point the Blockly selection to the multiple selection of the workspace:
+ * the MultiselectDraggable for several elements, the element itself for
+ * a single one, and nothing if the selection is empty.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to update.
+ */
+export const updateSelected = function(workspace) {
+  const dragSelection = dragSelectionWeakMap.get(workspace);
+  const multiDraggable = multiDraggableWeakMap.get(workspace);
+  const selected = Blockly.getSelected();
+  if (dragSelection.size > 1) {
+    if (selected !== multiDraggable) {
+      Blockly.common.setSelected(multiDraggable);
+    }
+  } else if (dragSelection.size === 1) {
+    const element = getByID(workspace, dragSelection.values().next().value);
+    if (selected !== element) {
+      Blockly.common.setSelected(element);
+    }
+  } else if (selected && selected.workspace === workspace) {
+    Blockly.common.setSelected(null);
+  }
+};
+
+/**
+ * Get the workspace position to paste the copied elements at: the given
+ * pointer event position, else the last pointer position over the
+ * workspace, else the viewport centre.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @param {?Event=} e The pointer event to paste at, if any.
+ * @returns {!Blockly.utils.Coordinate} The position in workspace units.
+ */
+export const getPastePosition = function(workspace, e) {
+  const clientPosition = e && typeof e.clientX === 'number' ?
+      new Blockly.utils.Coordinate(e.clientX, e.clientY) :
+      pointerPositionWeakMap.get(workspace);
+  if (clientPosition) {
+    return Blockly.utils.svgMath.screenToWsCoordinates(
+        workspace, clientPosition);
+  }
+  const {left, top, width, height} =
+      workspace.getMetricsManager().getViewMetrics(true);
+  return new Blockly.utils.Coordinate(left + width / 2, top + height / 2);
+};
+
+/**
+ * Get the offset moving the copied elements as a group, keeping their
+ * relative positions, so that the top left corner of their bounding box
+ * lands at the given position.
+ * @param {!Array<!Object>} dataList The copy data of the elements.
+ * @param {!Blockly.utils.Coordinate} position The position to paste at.
+ * @returns {?Blockly.utils.Coordinate} The offset, or null if none of the
+ *     elements has a position.
+ */
+export const getPasteOffset = function(dataList, position) {
+  const states = dataList
+      .map((data) => data.blockState || data.commentState)
+      .filter((state) => state && typeof state.x === 'number' &&
+          typeof state.y === 'number');
+  if (!states.length) {
+    return null;
+  }
+  return new Blockly.utils.Coordinate(
+      position.x - Math.min(...states.map((state) => state.x)),
+      position.y - Math.min(...states.map((state) => state.y)));
+};
+
+/**
+ * Get the connection that a pasted statement chain attaches to when exactly
+ * one block is selected: the next connection of that block, or its first
+ * empty statement input if it has no next connection.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @returns {?Blockly.Connection} The connection, or null if there is none.
+ */
+export const getPasteConnection = function(workspace) {
+  const dragSelection = dragSelectionWeakMap.get(workspace);
+  let selected = Blockly.common.getSelected();
+  if (dragSelection.size === 1) {
+    selected = getByID(workspace, [...dragSelection][0]);
+  } else if (dragSelection.size) {
+    return null;
+  }
+  if (!(selected instanceof Blockly.BlockSvg) ||
+      selected.workspace !== workspace || !selected.isEditable()) {
+    return null;
+  }
+  if (selected.nextConnection) {
+    return selected.nextConnection;
+  }
+  const input = selected.inputList.find((input) =>
+    input.type === Blockly.inputs.inputTypes.STATEMENT &&
+        input.connection && !input.connection.targetBlock());
+  return input ? input.connection : null;
+};
+
+/**
+ * Check whether all the given blocks fit in the capacity of the workspace
+ * (its maxBlocks and maxInstances options) at once.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to add the blocks
+ *     to.
+ * @param {!Array<!Object<string, number>>} typeCountsList The numbers of
+ *     blocks of each type to add, children included, as returned by
+ *     Blockly.common.getBlockTypeCounts.
+ * @returns {?string} The message describing what exceeds the capacity, or
+ *     null if all the blocks fit.
+ */
+export const getCapacityError = function(workspace, typeCountsList) {
+  const typeCounts = {};
+  typeCountsList.forEach((counts) => {
+    for (const [type, count] of Object.entries(counts)) {
+      typeCounts[type] = (typeCounts[type] || 0) + count;
+    }
+  });
+  if (workspace.isCapacityAvailable(typeCounts)) {
+    return null;
+  }
+  const total = Object.values(typeCounts).reduce((a, b) => a + b, 0);
+  const remaining = workspace.remainingCapacity();
+  if (total > remaining) {
+    return (Blockly.Msg['CAPACITY_EXCEEDED'] ?
+        Blockly.Msg['CAPACITY_EXCEEDED'] :
+        'Nothing was added, as this needs %1 blocks, but only %2 more can ' +
+        'be added to the workspace.')
+        .replace('%1', total).replace('%2', remaining);
+  }
+  const [type, count] = Object.entries(typeCounts).find(
+      ([typeName, typeCount]) =>
+        typeCount > workspace.remainingCapacityOfType(typeName));
+  return (Blockly.Msg['CAPACITY_OF_TYPE_EXCEEDED'] ?
+      Blockly.Msg['CAPACITY_OF_TYPE_EXCEEDED'] :
+      'Nothing was added, as this needs %1 "%3" blocks, but only %2 more ' +
+      'of them can be added.')
+      .replace('%1', count)
+      .replace('%2', workspace.remainingCapacityOfType(type))
+      .replace('%3', type);
+};
+
+/**
+ * Prepare the copied elements to be pasted into a workspace, either all of
+ * them or none: check that they fit in its capacity, telling the user if
+ * not, map their variables onto its own, and place them as a group at the
+ * given position. Call it within the event group of the paste.
+ * @param {!Array<!Object>} dataList The copy data of the elements, updated
+ *     in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @param {?Blockly.utils.Coordinate=} position The position to paste at, or
+ *     the pointer or viewport centre if none.
+ * @returns {?function(!Object, !Blockly.WorkspaceSvg): Blockly.ICopyable}
+ *     Paste one of the elements into a workspace, or null if they do not
+ *     all fit.
+ */
+export const preparePaste = function(dataList, workspace, position) {
+  const capacityError = getCapacityError(workspace, dataList
+      .filter((data) => data.typeCounts)
+      .map((data) => data.typeCounts));
+  if (capacityError) {
+    Blockly.dialog.alert(capacityError);
+    return null;
+  }
+  mapPastedVariables(dataList, workspace);
+  const offset = getPasteOffset(dataList,
+      position || getPastePosition(workspace));
+  return function(data, pasteWorkspace) {
+    const state = data.blockState || data.commentState;
+    if (!offset || typeof state.x !== 'number') {
+      return Blockly.clipboard.paste(data, pasteWorkspace);
+    }
+    return Blockly.clipboard.paste(data, pasteWorkspace,
+        new Blockly.utils.Coordinate(
+            state.x + offset.x, state.y + offset.y));
+  };
+};
+
+/**
+ * Create a clipboard storage keeping the items in memory, e.g. for tests or
+ * when localStorage is not available.
+ * @returns {!Object} The clipboard storage.
+ */
+export const createMemoryStorage = function() {
+  const items = new Map();
+  const listeners = new Set();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => {
+      items.set(key, String(value));
+      listeners.forEach((listener) => listener(key, String(value)));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Create the default clipboard storage, backed by localStorage and shared
+ * across the tabs, or kept in memory when localStorage is not available
+ * (e.g. in a sandboxed iframe).
+ * @returns {!Object} The clipboard storage.
+ */
+export const createDefaultStorage = function() {
+  let localStorage;
+  try {
+    localStorage = window.localStorage;
+    localStorage.getItem('blocklyStashMulti');
+  } catch (e) {
+    return createMemoryStorage();
+  }
+  return {
+    getItem: (key) => localStorage.getItem(key),
+    setItem: (key, value) => localStorage.setItem(key, value),
+    subscribe: (listener) => {
+      const onStorage = (e) => {
+        if (e.storageArea === localStorage) {
+          listener(e.key, e.newValue);
+        }
+      };
+      window.addEventListener('storage', onStorage);
+      return () => window.removeEventListener('storage', onStorage);
+    },
+  };
+};
+
+/**
+ * The clipboard storage, with getItem(key), setItem(key, value) and
+ * optionally subscribe(listener) methods. getItem and setItem may return
+ * promises, in which case the last known values are read instead.
+ */
+let clipboardStorage = null;
+
+/**
+ * The last known values of the clipboard storage items.
+ */
+const storageValues = new Map();
+
+/**
+ * Stop listening to the changes of the clipboard storage.
+ */
+let unsubscribeStorage = null;
+
+/**
+ * Get the clipboard storage, creating the default one if none is set.
+ * @returns {!Object} The clipboard storage.
+ */
+export const getClipboardStorage = function() {
+  if (!clipboardStorage) {
+    setClipboardStorage(createDefaultStorage());
+  }
+  return clipboardStorage;
+};
+
+/**
+ * Set the storage the clipboard is kept in for copying and pasting across
+ * tabs.
+ * @param {!Object} storage The clipboard storage, with getItem(key),
+ *     setItem(key, value) and optionally subscribe(listener) methods, where
+ *     the listener is called with the key and new value of changed items.
+ */
+export const setClipboardStorage = function(storage) {
+  if (unsubscribeStorage) {
+    unsubscribeStorage();
+    unsubscribeStorage = null;
+  }
+  clipboardStorage = storage;
+  storageValues.clear();
+  listenToClipboardStorage();
+};
+
+/**
+ * Listen to the changes of the clipboard storage, if it can push them, and
+ * read its current items.
+ */
+const listenToClipboardStorage = function() {
+  if (clipboardStorage.subscribe) {
+    unsubscribeStorage =
+        clipboardStorage.subscribe(onStorageValue) || (() => {});
+  }
+  // Read the connections of the legacy format before the elements.
+  for (const key of ['blocklyStashConnection', 'blocklyStashHistory',
+    'blocklyStashMulti']) {
+    readStorage(key);
+  }
+};
+
+/**
+ * Name of the BroadcastChannel pushing the copied elements to the other
+ * tabs.
+ */
+const CLIPBOARD_CHANNEL_NAME = 'blockly-multiselect-clipboard';
+
+/**
+ * The BroadcastChannel pushing the copied elements to the other tabs, or
+ * null where it is not supported, in which case the changes of the
+ * clipboard storage are listened to instead.
+ */
+let clipboardChannel = null;
+
+/**
+ * The last clipboard payload copied in this tab or received from another
+ * one, as JSON.
+ */
+let clipboardText = null;
+
+/**
+ * The clipboard payload received from another tab and not pasted yet.
+ */
+let receivedPayload = null;
+
+/**
+ * Number of plugin instances receiving the elements copied in the other
+ * tabs.
+ */
+let clipboardSyncCount = 0;
+
+/**
+ * Start receiving the elements copied in the other tabs, through the
+ * BroadcastChannel and the clipboard storage. Each call must be paired
+ * with a call to stopClipboardSync.
+ */
+export const startClipboardSync = function() {
+  clipboardSyncCount++;
+  if (!clipboardStorage) {
+    getClipboardStorage();
+  } else if (!unsubscribeStorage) {
+    // Listen again to the storage left by the last stopClipboardSync.
+    listenToClipboardStorage();
+  }
+  if (!clipboardChannel && typeof BroadcastChannel !== 'undefined') {
+    clipboardChannel = new BroadcastChannel(CLIPBOARD_CHANNEL_NAME);
+    clipboardChannel.addEventListener('message', (e) => {
+      receiveClipboard(e.data);
     });
   }
 };
 
 /**
- * Get blocks number in the clipboard from localStorage.
+ * Stop receiving the elements copied in the other tabs for one plugin
+ * instance. Once no instance receives them, close the BroadcastChannel and
+ * stop listening to the clipboard storage.
+ */
+export const stopClipboardSync = function() {
+  clipboardSyncCount = Math.max(clipboardSyncCount - 1, 0);
+  if (clipboardSyncCount) {
+    return;
+  }
+  if (clipboardChannel) {
+    clipboardChannel.close();
+    clipboardChannel = null;
+  }
+  // Keep the storage, which may have been set by the host app, to listen
+  // to it again on the next start.
+  if (unsubscribeStorage) {
+    unsubscribeStorage();
+    unsubscribeStorage = null;
+  }
+};
+
+/**
+ * Handle a new value of an item of the clipboard storage.
+ * @param {string} key The key of the item.
+ * @param {?string} value The value of the item.
+ */
+const onStorageValue = function(key, value) {
+  storageValues.set(key, value);
+  if (key === 'blocklyStashMulti') {
+    receiveClipboard(value);
+  }
+};
+
+/**
+ * Handle a clipboard payload copied in another tab.
+ * @param {?string} text The clipboard payload, as JSON.
+ */
+const receiveClipboard = function(text) {
+  if (typeof text !== 'string' || text === clipboardText) {
+    return;
+  }
+  clipboardText = text;
+  try {
+    const payload = JSON.parse(text);
+    const legacyConnections = Array.isArray(payload) ?
+        JSON.parse(storageValues.get('blocklyStashConnection') || '[]') :
+        undefined;
+    receivedPayload = parseClipboardPayload(payload, legacyConnections);
+  } catch (e) {
+    receivedPayload = null;
+  }
+};
+
+/**
+ * Read an item of the clipboard storage.
+ * @param {string} key The key of the item.
+ * @returns {?string} The value of the item, or the last known one if the
+ *     storage is asynchronous.
+ */
+const readStorage = function(key) {
+  const storage = getClipboardStorage();
+  try {
+    const value = storage.getItem(key);
+    if (value && typeof value.then === 'function') {
+      value.then((resolved) => {
+        onStorageValue(key, resolved);
+      }, () => {});
+    } else {
+      onStorageValue(key, value);
+    }
+  } catch (e) {
+    // The storage is not available, keep the last known value.
+  }
+  return storageValues.has(key) ? storageValues.get(key) : null;
+};
+
+/**
+ * Write an item to the clipboard storage.
+ * @param {string} key The key of the item.
+ * @param {string} value The value of the item.
+ */
+const writeStorage = function(key, value) {
+  const storage = getClipboardStorage();
+  storageValues.set(key, value);
+  try {
+    const result = storage.setItem(key, value);
+    if (result && typeof result.then === 'function') {
+      result.then(undefined, () => {});
+    }
+  } catch (e) {
+    // The storage is not available or full, the copy stays in this tab.
+  }
+};
+
+/**
+ * Identifier of the multiple copy/paste clipboard payload.
+ */
+export const CLIPBOARD_FORMAT = 'blockly-multiselect';
+
+/**
+ * Version of the multiple copy/paste clipboard payload.
+ */
+export const CLIPBOARD_VERSION = 2;
+
+/**
+ * Identifier of the app producing the clipboard payloads, if set.
+ */
+let clipboardAppId = null;
+
+/**
+ * Set the identifier of the app producing the clipboard payloads. Payloads
+ * produced by another app are rejected on paste.
+ * @param {?string} appId The app identifier, or null to accept the payloads
+ *     of any app.
+ */
+export const setClipboardAppId = function(appId) {
+  clipboardAppId = appId || null;
+};
+
+/**
+ * Call a function on a serialized block and each of its children.
+ * @param {?Object} state The serialized block.
+ * @param {function(!Object)} callback The function to call on each
+ *     serialized block.
+ */
+const forEachBlockState = function(state, callback) {
+  if (!state) {
+    return;
+  }
+  callback(state);
+  const children = Object.values(state.inputs || {});
+  if (state.next) {
+    children.push(state.next);
+  }
+  children.forEach((child) => {
+    forEachBlockState(child.block, callback);
+    forEachBlockState(child.shadow, callback);
+  });
+};
+
+/**
+ * Get the types of the copied blocks, children included.
+ * @param {!Array<?Object>} elements The copy data of the elements.
+ * @returns {!Array<string>} The block types.
+ */
+const getBlockTypes = function(elements) {
+  const types = new Set();
+  elements.forEach((data) => forEachBlockState(data && data.blockState,
+      (state) => types.add(state.type)));
+  return [...types];
+};
+
+/**
+ * Get the variable field states of a serialized block, which hold the id,
+ * name and type of the variable when fully serialized.
+ * @param {!Object} state The serialized block.
+ * @returns {!Array<!Object>} The variable field states.
+ */
+const getVariableFieldStates = function(state) {
+  return Object.values(state.fields || {}).filter((value) => value &&
+      typeof value.id === 'string' && typeof value.name === 'string');
+};
+
+/**
+ * Get the variables referenced by the copied blocks, children included.
+ * @param {!Array<?Object>} elements The copy data of the elements.
+ * @returns {!Array<!Object>} The variable models, with their id, name and
+ *     type.
+ */
+const getReferencedVariables = function(elements) {
+  const variables = new Map();
+  elements.forEach((data) => forEachBlockState(data && data.blockState,
+      (state) => getVariableFieldStates(state).forEach((value) => {
+        variables.set(value.id,
+            {id: value.id, name: value.name, type: value.type || ''});
+      })));
+  return [...variables.values()];
+};
+
+/**
+ * Map the variables referenced by the elements about to be pasted onto the
+ * variables of the workspace with the same name and type, creating the
+ * missing ones, and update the elements to refer to them.
+ * @param {!Array<!Object>} elements The copy data of the elements, updated
+ *     in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ */
+export const mapPastedVariables = function(elements, workspace) {
+  const variableMap = new Map();
+  getReferencedVariables(elements).forEach(({id, name, type}) => {
+    let variable = workspace.getVariable(name, type);
+    if (!variable) {
+      // Keep the copied id unless another variable of this workspace has it.
+      variable = workspace.createVariable(name, type,
+          workspace.getVariableById(id) ? null : id);
+    }
+    variableMap.set(id, variable);
+  });
+  elements.forEach((data) => forEachBlockState(data.blockState,
+      (state) => getVariableFieldStates(state).forEach((value) => {
+        const variable = variableMap.get(value.id);
+        value.id = variable.getId();
+        value.name = variable.name;
+        value.type = variable.type;
+      })));
+};
+
+/**
+ * Check if the element can be copied on its own: a block without a selected
+ * surround parent (which carries it along), or a workspace comment, that
+ * can be deleted and moved.
+ * @param {Blockly.IDraggable} element The element to check.
+ * @returns {boolean} true if the element can be copied.
+ */
+export const isCopyable = function(element) {
+  if (element instanceof Blockly.BlockSvg) {
+    return element.isDeletable() && element.isMovable() &&
+        !hasSelectedParent(element);
+  } else if (element instanceof Blockly.comments.RenderedWorkspaceComment) {
+    return element.isDeletable() && element.isMovable();
+  }
+  return false;
+};
+
+/**
+ * Get the copy data of the selected elements of the workspace passing the
+ * check, along with the connections between the next connection of a
+ * copied block and the previous connection of another, as pairs of indices
+ * into the elements.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to copy from.
+ * @param {function(Blockly.IDraggable): boolean} check Whether to copy an
+ *     element.
+ * @returns {{elements: !Array<!Object>, connections: !Array<!Array<number>>}}
+ *     The copy data of the elements and their connections.
+ */
+export const getSelectionCopyData = function(workspace, check) {
+  const elements = [];
+  const elementList = [];
+  const apply = function(element) {
+    if (check(element)) {
+      elements.push(element.toCopyData());
+      elementList.push(element.id);
+    }
+  };
+  const selected = Blockly.common.getSelected();
+  const dragSelection = dragSelectionWeakMap.get(workspace);
+  // Handle the case where MultiselectDraggable is in use
+  if (selected && selected === multiDraggableWeakMap.get(workspace)) {
+    for (const element of selected.subDraggables) {
+      apply(element[0]);
+    }
+  } else if (!dragSelection.size) {
+    apply(selected);
+  }
+
+  const connections = [];
+  elementList.forEach(function(id) {
+    const block = workspace.getBlockById(id);
+    if (block) {
+      const parentBlock = block.getParent();
+      if (parentBlock && elementList.indexOf(parentBlock.id) !== -1 &&
+          parentBlock.getNextBlock() === block) {
+        connections.push([
+          elementList.indexOf(parentBlock.id),
+          elementList.indexOf(block.id)]);
+      }
+    }
+  });
+  return {elements, connections};
+};
+
+/**
+ * Create the clipboard payload of the copied elements and their
+ * connections.
+ * @param {Object=} copy The elements and connections to create the payload
+ *     of, as returned by getSelectionCopyData, instead of the copied ones.
+ * @returns {!Object} The clipboard payload, with the format, version, app,
+ *     blocklyVersion, blockTypes, elements and connections properties.
+ */
+export const createClipboardPayload = function(copy) {
+  const elements = copy ? copy.elements :
+      [...copyData].map((data) => JSON.parse(data));
+  const connections = copy ? copy.connections : connectionDBList;
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    app: clipboardAppId,
+    blocklyVersion: Blockly.VERSION,
+    blockTypes: getBlockTypes(elements),
+    elements,
+    connections: connections.map(([parent, child]) => [parent, child]),
+  };
+};
+
+/**
+ * Migrate a payload of an older version, or of the legacy format made of
+ * the element list and the connection list, to the current version.
+ * Their connections index the copied blocks only, not all the elements.
+ * @param {*} elements The copied elements of the payload.
+ * @param {*} connections The copied connections of the payload.
+ * @returns {?Object} The migrated payload, or null if it is malformed.
+ */
+const migrateClipboardPayload = function(elements, connections) {
+  if (!Array.isArray(elements) || !Array.isArray(connections)) {
+    return null;
+  }
+  try {
+    elements = elements.map((data) =>
+      typeof data === 'string' ? JSON.parse(data) : data);
+  } catch (e) {
+    return null;
+  }
+  const blockIndices = [];
+  elements.forEach((data, i) => {
+    if (data && data.blockState) {
+      blockIndices.push(i);
+    }
+  });
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    app: null,
+    blocklyVersion: null,
+    blockTypes: getBlockTypes(elements),
+    elements,
+    connections: connections
+        .filter((connection) => Array.isArray(connection) &&
+            connection.length === 2 &&
+            connection.every((index) => Number.isInteger(index) &&
+                index >= 0 && index < blockIndices.length))
+        .map(([parent, child]) => [blockIndices[parent], blockIndices[child]]),
+  };
+};
+
+/**
+ * Check whether a clipboard payload can be pasted in this app: it was copied
+ * from this app, is well formed and only has block types defined here.
+ * @param {!Object} payload A payload of the current version.
+ * @returns {boolean} true if the payload can be pasted.
+ */
+const canPasteClipboardPayload = function(payload) {
+  if (payload.app && clipboardAppId && payload.app !== clipboardAppId) {
+    return false;
+  }
+  if (!Array.isArray(payload.elements) ||
+      !Array.isArray(payload.connections) ||
+      !payload.elements.every((data) => data &&
+          (data.blockState || data.commentState))) {
+    return false;
+  }
+  if (!getBlockTypes(payload.elements).every((type) => Blockly.Blocks[type])) {
+    return false;
+  }
+  const isBlockIndex = (index) => Number.isInteger(index) &&
+      payload.elements[index] && !!payload.elements[index].blockState;
+  return payload.connections.every((connection) =>
+    Array.isArray(connection) && connection.length === 2 &&
+        isBlockIndex(connection[0]) && isBlockIndex(connection[1]));
+};
+
+/**
+ * Validate a clipboard payload, migrating it from older versions.
+ * @param {*} payload The parsed clipboard payload, or the element list of
+ *     the legacy format.
+ * @param {*=} legacyConnections The connection list of the legacy format.
+ * @returns {?Object} The payload of the current version, or null if it is
+ *     not a payload or cannot be pasted in this app.
+ */
+export const parseClipboardPayload = function(payload, legacyConnections) {
+  if (Array.isArray(payload)) {
+    payload = migrateClipboardPayload(payload, legacyConnections || []);
+  } else if (!payload || payload.format !== CLIPBOARD_FORMAT ||
+      !Number.isInteger(payload.version) ||
+      payload.version > CLIPBOARD_VERSION) {
+    return null;
+  } else if (payload.version < CLIPBOARD_VERSION) {
+    payload = migrateClipboardPayload(payload.elements, payload.connections);
+  }
+  if (!payload) {
+    return null;
+  }
+  return canPasteClipboardPayload(payload) ? payload : null;
+};
+
+/**
+ * Load a validated clipboard payload into the copied elements and their
+ * connections.
+ * @param {!Object} payload The payload returned by parseClipboardPayload.
+ */
+export const loadClipboardPayload = function(payload) {
+  copyData.clear();
+  payload.elements.forEach((data) => {
+    copyData.add(JSON.stringify(data));
+  });
+  connectionDBList.length = 0;
+  payload.connections.forEach((connection) => {
+    connectionDBList.push(connection);
+  });
+};
+
+/**
+ * Store copy information for blocks in the clipboard storage, and push it
+ * to the other tabs.
+ */
+export const dataCopyToStorage = function() {
+  // The time makes each copy a change of the storage, even if the same
+  // elements are copied again.
+  const text = JSON.stringify(
+      Object.assign(createClipboardPayload(), {time: Date.now()}));
+  clipboardText = text;
+  receivedPayload = null;
+  // The copy time of the earlier versions of the plugin is left as is, so
+  // that their tabs, which cannot read this payload, do not paste it.
+  writeStorage('blocklyStashMulti', text);
+  if (clipboardChannel) {
+    clipboardChannel.postMessage(text);
+  }
+};
+
+/**
+ * Read the elements copied in another context from a clipboard storage that
+ * cannot push its changes, like one backed by a server with only getItem and
+ * setItem methods.
+ */
+const readClipboardFromStorage = function() {
+  if (!getClipboardStorage().subscribe) {
+    // Read the connections of the legacy format before the elements.
+    readStorage('blocklyStashConnection');
+    readStorage('blocklyStashMulti');
+  }
+};
+
+/**
+ * Get copy information for blocks copied in another tab, if any since the
+ * last copy or paste.
+ */
+export const dataCopyFromStorage = function() {
+  readClipboardFromStorage();
+  if (receivedPayload) {
+    loadClipboardPayload(receivedPayload);
+    receivedPayload = null;
+  }
+};
+
+/**
+ * Get blocks number in the clipboard, including the blocks copied in
+ * another tab.
  * @param {boolean} useCopyPasteCrossTab Whether or not to use
  *     cross tab copy/paste.
  * @returns {number} The number of blocks in the clipboard.
  */
 export const blockNumGetFromStorage = function(useCopyPasteCrossTab) {
-  if (!useCopyPasteCrossTab) {
-    return copyData.size;
+  if (useCopyPasteCrossTab) {
+    readClipboardFromStorage();
   }
-  const storage = JSON.parse(localStorage.getItem('blocklyStashMulti'));
-  const time = localStorage.getItem('blocklyStashTime');
-  if (storage && parseInt(time) > timestamp) {
-    return storage.length;
+  if (useCopyPasteCrossTab && receivedPayload) {
+    return receivedPayload.elements.length;
   }
   return copyData.size;
 };
+
+/**
+ * Number of earlier copies kept in the clipboard history.
+ */
+export const CLIPBOARD_HISTORY_SIZE = 10;
+
+/**
+ * The clipboard history of this tab, most recent copy first.
+ */
+const clipboardHistory = [];
+
+/**
+ * Read the clipboard history shared across tabs from the clipboard storage.
+ * @returns {!Array<!Object>} The history entries, most recent copy first.
+ */
+const readHistoryFromStorage = function() {
+  try {
+    const history = JSON.parse(readStorage('blocklyStashHistory'));
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Add the copied elements to the clipboard history, unless they are the
+ * same as the most recent copy.
+ * @param {boolean} useCopyPasteCrossTab Whether or not to share the
+ *     history across tabs through the clipboard storage.
+ */
+export const addCopyDataToHistory = function(useCopyPasteCrossTab) {
+  if (!copyData.size) {
+    return;
+  }
+  const history = useCopyPasteCrossTab ?
+      readHistoryFromStorage() : clipboardHistory;
+  const entry = Object.assign(createClipboardPayload(), {time: Date.now()});
+  if (history.length && JSON.stringify(history[0].elements) ===
+      JSON.stringify(entry.elements)) {
+    return;
+  }
+  history.unshift(entry);
+  history.length = Math.min(history.length, CLIPBOARD_HISTORY_SIZE);
+  if (useCopyPasteCrossTab) {
+    writeStorage('blocklyStashHistory', JSON.stringify(history));
+  }
+};
+
+/**
+ * Get the entries of the clipboard history that can be pasted in this app.
+ * @param {boolean} useCopyPasteCrossTab Whether or not to use the history
+ *     shared across tabs.
+ * @returns {!Array<!Object>} The clipboard payloads, with the time they
+ *     were copied at, most recent copy first.
+ */
+export const getClipboardHistory = function(useCopyPasteCrossTab) {
+  const history = useCopyPasteCrossTab ?
+      readHistoryFromStorage() : clipboardHistory;
+  return history.filter((entry) => entry &&
+      entry.format === CLIPBOARD_FORMAT &&
+      entry.version === CLIPBOARD_VERSION &&
+      canPasteClipboardPayload(entry));
+};
@@ -9,4 +9,9 @@
  */
 
 export {Multiselect} from './multiselect';
+export {MultiselectChange, MULTISELECT_CHANGE} from './multiselect_events';
 export {dragSelectionWeakMap, inMultipleSelectionModeWeakMap} from './global';
+export {
+  createMemoryStorage, getClipboardStorage, setClipboardStorage,
+  CLIPBOARD_FORMAT, CLIPBOARD_VERSION,
+} from './global';
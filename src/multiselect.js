@@ -14,11 +14,17 @@ import * as ContextMenu from './multiselect_contextmenu';
 import * as Shortcut from './multiselect_shortcut';
 import {
   dragSelectionWeakMap, inMultipleSelectionModeWeakMap,
-  hasSelectedParent,
-  multiselectControlsList, multiDraggableWeakMap,
+  hasSelectedParent, getByID, isSelectable,
+  addToSelection, removeFromSelection, clearSelection, updateSelected,
+  multiselectControlsList, multiDraggableWeakMap, selectableFilterWeakMap,
+  getClipboardStorage, setClipboardStorage, createDefaultStorage,
+  setClipboardAppId, pointerPositionWeakMap, startClipboardSync,
+  stopClipboardSync, codeGeneratorWeakMap,
 } from './global';
+import {fireSelectionChange} from './multiselect_events';
 import {MultiselectControls} from './multiselect_controls';
 import {MultiselectDraggable} from './multiselect_draggable';
+import {getSelectionSvg, getSelectionPng} from './multiselect_export';
 
 /**
  * Class for using multiple select blocks on workspace.
@@ -39,7 +45,14 @@ export class Multiselect {
     inMultipleSelectionModeWeakMap.set(this.workspace_, false);
     this.useCopyPasteCrossTab_ = true;
     this.useCopyPasteMenu_ = true;
+    this.useSystemClipboard_ = false;
+    this.useSelectionKeys_ = false;
+    this.useNudgeKeys_ = false;
+    this.useCopyAsCodeKeys_ = false;
+    this.clipboardStorage_ = null;
+    this.syncingClipboard_ = false;
     this.multiFieldUpdate_ = true;
+    this.multiFieldUpdatePolicy_ = null;
     this.multiSelectKeys_ = ['shift'];
     this.registeredShortcut_ = true;
   }
@@ -82,6 +95,10 @@ export class Multiselect {
       this.onFocusOutWidgetDivWrapper_ = Blockly.browserEvents.conditionalBind(
           widgetDiv, 'focusout', this, this.onBlur_);
     }
+    this.onPointerMoveWrapper_ = Blockly.browserEvents.bind(
+        injectionDiv, 'pointermove', this, this.onPointerMove_);
+    this.onPointerLeaveWrapper_ = Blockly.browserEvents.bind(
+        injectionDiv, 'pointerleave', this, this.onPointerLeave_);
     injectionDiv.addEventListener('mouseenter', () => {
       if (options.workspaceAutoFocus === false ||
           document.activeElement === this.workspace_.getSvgGroup().parentElement ||
@@ -109,12 +126,54 @@ export class Multiselect {
       this.useCopyPasteMenu_ = false;
     }
 
+    if (options.multiselectCopyPaste &&
+        options.multiselectCopyPaste.systemClipboard === true) {
+      this.useSystemClipboard_ = true;
+    }
+
+    if (options.multiselectCopyPaste &&
+        options.multiselectCopyPaste.storage) {
+      this.clipboardStorage_ = options.multiselectCopyPaste.storage;
+      setClipboardStorage(this.clipboardStorage_);
+    }
+
+    if (options.multiselectCopyPaste &&
+        options.multiselectCopyPaste.appId) {
+      setClipboardAppId(options.multiselectCopyPaste.appId);
+    }
+
+    if (options.multiselectCopyPaste &&
+        options.multiselectCopyPaste.codeGenerator) {
+      codeGeneratorWeakMap.set(this.workspace_,
+          options.multiselectCopyPaste.codeGenerator);
+    }
+
+    if (options.multiselectCopyPaste &&
+        options.multiselectCopyPaste.codeShortcut === true) {
+      this.useCopyAsCodeKeys_ = true;
+    }
+
+    if (options.selectionShortcuts === true) {
+      this.useSelectionKeys_ = true;
+    }
+
+    if (options.nudgeShortcuts === true) {
+      this.useNudgeKeys_ = true;
+    }
+
+    if (this.useCopyPasteCrossTab_) {
+      startClipboardSync();
+      this.syncingClipboard_ = true;
+    }
+
     if (!Blockly.ContextMenuRegistry.registry.getItem('workspaceSelectAll')) {
       ContextMenu.unregisterContextMenu();
       ContextMenu.registerOurContextMenu(this.useCopyPasteMenu_,
-          this.useCopyPasteCrossTab_);
+          this.useCopyPasteCrossTab_, this.useSystemClipboard_);
       Shortcut.unregisterOrigShortcut();
-      Shortcut.registerOurShortcut(this.useCopyPasteCrossTab_);
+      Shortcut.registerOurShortcut(this.useCopyPasteCrossTab_,
+          this.useSystemClipboard_, this.useSelectionKeys_,
+          this.useNudgeKeys_, this.useCopyAsCodeKeys_);
     }
 
     this.controls_ = new MultiselectControls(
@@ -133,6 +192,14 @@ export class Multiselect {
 
     if (options.multiFieldUpdate === false) {
       this.multiFieldUpdate_ = false;
+    } else if (typeof options.multiFieldUpdate === 'function' ||
+        typeof options.multiFieldUpdate === 'object' &&
+        options.multiFieldUpdate !== null) {
+      this.multiFieldUpdatePolicy_ = options.multiFieldUpdate;
+    }
+
+    if (typeof options.selectableFilter === 'function') {
+      selectableFilterWeakMap.set(this.workspace_, options.selectableFilter);
     }
 
     if (!options.bumpNeighbours) {
@@ -180,6 +247,111 @@ export class Multiselect {
     this.controls_.updateMultiselectIcon(this.controls_.enabled);
   }
 
+  /**
+   * Get the ids of the currently selected blocks and workspace comments.
+   * @returns {!Array<string>} The ids of the selected elements.
+   */
+  getSelection() {
+    if (this.dragSelection_.size) {
+      return [...this.dragSelection_];
+    }
+    const selected = Blockly.getSelected();
+    if (selected && !(selected instanceof MultiselectDraggable) &&
+        selected.workspace === this.workspace_) {
+      return [selected.id];
+    }
+    return [];
+  }
+
+  /**
+   * Add the blocks and workspace comments to the selection.
+   * @param {!Array<string>} ids The ids of the elements to select.
+   */
+  select(ids) {
+    this.adoptSelected_();
+    ids.forEach((id) => {
+      const element = getByID(this.workspace_, id);
+      if (!this.dragSelection_.has(id) && isSelectable(element)) {
+        addToSelection(element);
+      }
+    });
+    updateSelected(this.workspace_);
+    fireSelectionChange(this.workspace_);
+  }
+
+  /**
+   * Remove the blocks and workspace comments from the selection.
+   * @param {!Array<string>} ids The ids of the elements to deselect.
+   */
+  deselect(ids) {
+    this.adoptSelected_();
+    ids.forEach((id) => {
+      const element = getByID(this.workspace_, id);
+      if (element && this.dragSelection_.has(id)) {
+        removeFromSelection(element);
+      }
+    });
+    updateSelected(this.workspace_);
+    fireSelectionChange(this.workspace_);
+  }
+
+  /**
+   * Switch the selection state of a block or workspace comment.
+   * @param {string} id The id of the element to toggle.
+   */
+  toggle(id) {
+    if (this.getSelection().includes(id)) {
+      this.deselect([id]);
+    } else {
+      this.select([id]);
+    }
+  }
+
+  /**
+   * Deselect all the blocks and workspace comments.
+   */
+  clear() {
+    clearSelection(this.workspace_);
+    updateSelected(this.workspace_);
+    fireSelectionChange(this.workspace_);
+  }
+
+  /**
+   * Render the selected blocks and workspace comments to a standalone SVG
+   * image, cropped to their bounding rectangle.
+   * @returns {?string} The SVG markup, or null if nothing is selected.
+   */
+  getSelectionSvg() {
+    return getSelectionSvg(this.workspace_);
+  }
+
+  /**
+   * Render the selected blocks and workspace comments to a PNG image,
+   * cropped to their bounding rectangle.
+   * @param {number=} scale The number of pixels per workspace unit.
+   * @returns {!Promise<?Blob>} Resolves to the PNG image, or null if nothing
+   *     is selected.
+   */
+  getSelectionPng(scale) {
+    return getSelectionPng(this.workspace_, scale);
+  }
+
+  /**
+   * Take the element selected by Blockly without the multiple selection
+   * (e.g. by a plain click) into the multiple selection, so that the
+   * selection API keeps building upon what the user sees as selected.
+   * @private
+   */
+  adoptSelected_() {
+    const selected = this.getSelection();
+    if (!this.dragSelection_.size && selected.length) {
+      const element = getByID(this.workspace_, selected[0]);
+      if (isSelectable(element)) {
+        addToSelection(element);
+      }
+    }
+  }
+
   /**
    * Unbind the events and replace with original registration.
    * @param {boolean} keepRegistry Keep the context menu and shortcut registry.
@@ -221,6 +393,15 @@ export class Multiselect {
       Blockly.browserEvents.unbind(this.onFocusOutWidgetDivWrapper_);
       this.onFocusOutWidgetDivWrapper_ = null;
     }
+    if (this.onPointerMoveWrapper_) {
+      Blockly.browserEvents.unbind(this.onPointerMoveWrapper_);
+      this.onPointerMoveWrapper_ = null;
+    }
+    if (this.onPointerLeaveWrapper_) {
+      Blockly.browserEvents.unbind(this.onPointerLeaveWrapper_);
+      this.onPointerLeaveWrapper_ = null;
+    }
+    pointerPositionWeakMap.delete(this.workspace_);
     if (this.eventListenerWrapper_) {
       this.workspace_.removeChangeListener(this.eventListenerWrapper_);
       this.eventListenerWrapper_ = null;
@@ -237,13 +418,34 @@ export class Multiselect {
         Blockly.ContextMenuRegistry.registry.unregister('blockCopyToStorage');
         Blockly.ContextMenuRegistry.registry
             .unregister('blockPasteFromStorage');
+        Blockly.ContextMenuRegistry.registry
+            .unregister('workspacePasteFromHistory');
+        Blockly.ContextMenuRegistry.registry.unregister('blockExportSelection');
+        Blockly.ContextMenuRegistry.registry
+            .unregister('workspaceImportSelection');
       }
       Blockly.ContextMenuRegistry.registry.unregister('workspaceSelectAll');
+      Blockly.ContextMenuRegistry.registry.unregister('workspaceDeselectAll');
+      Blockly.ContextMenuRegistry.registry
+          .unregister('workspaceInvertSelection');
+      Blockly.ContextMenuRegistry.registry.unregister('blockSelectSameType');
+      Blockly.ContextMenuRegistry.registry.unregister('blockCopyAsCode');
+      Blockly.ContextMenuRegistry.registry.unregister('blockLayout');
+      Blockly.ContextMenuRegistry.registry.unregister('commentLayout');
+      Blockly.ContextMenuRegistry.registry.unregister('blockExportImage');
+      Blockly.ContextMenuRegistry.registry.unregister('commentExportImage');
+      Blockly.ContextMenuRegistry.registry
+          .unregister('workspaceCleanUpSelection');
       Blockly.ContextMenuRegistry.registry.unregister('copy_to_backpack');
       ContextMenu.registerOrigContextMenu();
 
       Shortcut.unregisterOrigShortcut();
       Blockly.ShortcutRegistry.registry.unregister('selectall');
+      Blockly.ShortcutRegistry.registry.unregister('deselectall');
+      Blockly.ShortcutRegistry.registry.unregister('invertselection');
+      Blockly.ShortcutRegistry.registry.unregister('nudgeselection');
+      Blockly.ShortcutRegistry.registry.unregister('pastefromhistory');
+      Blockly.ShortcutRegistry.registry.unregister('copyascode');
       Shortcut.registerOrigShortcut();
     }
 
@@ -258,6 +460,20 @@ export class Multiselect {
     if (this.origBumpNeighbours) {
       Blockly.BlockSvg.prototype.bumpNeighbours = this.origBumpNeighbours;
     }
+
+    selectableFilterWeakMap.delete(this.workspace_);
+    codeGeneratorWeakMap.delete(this.workspace_);
+
+    if (this.clipboardStorage_ &&
+        getClipboardStorage() === this.clipboardStorage_) {
+      setClipboardStorage(createDefaultStorage());
+    }
+    this.clipboardStorage_ = null;
+
+    if (this.syncingClipboard_) {
+      stopClipboardSync();
+      this.syncingClipboard_ = false;
+    }
   }
 
   /**
@@ -382,15 +598,23 @@ export class Multiselect {
         e.group = Blockly.Events.getGroup();
       }
       try {
-        const blockType = this.workspace_.getBlockById(e.blockId).type;
+        const sourceBlock = this.workspace_.getBlockById(e.blockId);
+        const acrossBlockTypes = !!(this.multiFieldUpdatePolicy_ &&
+            this.multiFieldUpdatePolicy_.acrossBlockTypes);
         // Update the fields to the same value for
-        // the selected blocks with same type.
+        // the selected blocks with same type, or with a field of the
+        // same name and class when updating across block types.
         this.dragSelection_.forEach((id) => {
           if (id === e.blockId) {
             return;
           }
           const block = this.workspace_.getBlockById(id);
-          if (block && block.type === blockType) {
+          if (block && (block.type === sourceBlock.type || acrossBlockTypes &&
+              this.hasSameField_(sourceBlock, block, e.name)) &&
+              this.shouldUpdateField_(
+                  sourceBlock, block, e.name, e.newValue)) {
+            // The field validators reject the values the field does not
+            // accept (e.g. a missing dropdown option), leaving it as is.
             block.setFieldValue(e.newValue, e.name);
           }
         });
@@ -403,6 +627,82 @@ export class Multiselect {
         Blockly.Events.setGroup(currentGroup);
       }
     }
+
+    // on Block or workspace comment deleted (e.g. by undoing a paste)
+    if (e.type === Blockly.Events.BLOCK_DELETE) {
+      this.pruneDeleted_(e.ids);
+    } else if (e.type === Blockly.Events.COMMENT_DELETE) {
+      this.pruneDeleted_([e.commentId]);
+    }
+  }
+
+  /**
+   * Remove the elements that no longer exist in the workspace from the
+   * multiple selection.
+   * @param {!Array<string>} ids The ids of the deleted elements.
+   * @private
+   */
+  pruneDeleted_(ids) {
+    const deletedIds = ids.filter((id) => this.dragSelection_.has(id) &&
+        !getByID(this.workspace_, id));
+    if (!deletedIds.length) {
+      return;
+    }
+    const multiDraggable = multiDraggableWeakMap.get(this.workspace_);
+    for (const [subDraggable] of multiDraggable.subDraggables) {
+      if (deletedIds.includes(subDraggable.id)) {
+        multiDraggable.removeSubDraggable_(subDraggable);
+      }
+    }
+    deletedIds.forEach((id) => this.dragSelection_.delete(id));
+    updateSelected(this.workspace_);
+    fireSelectionChange(this.workspace_);
+  }
+
+  /**
+   * Check whether another block has a field of the same name and class as
+   * the changed field, to update it across block types.
+   * @param {!Blockly.BlockSvg} sourceBlock The block whose field changed.
+   * @param {!Blockly.BlockSvg} targetBlock The block to copy the value to.
+   * @param {string} fieldName The name of the changed field.
+   * @returns {boolean} true if the target block has such a field.
+   * @private
+   */
+  hasSameField_(sourceBlock, targetBlock, fieldName) {
+    const sourceField = sourceBlock.getField(fieldName);
+    const targetField = targetBlock.getField(fieldName);
+    return !!sourceField && !!targetField &&
+        sourceField.constructor === targetField.constructor;
+  }
+
+  /**
+   * Check the multiFieldUpdate policy to know whether a field change of a
+   * selected block is copied to another selected block.
+   * @param {!Blockly.BlockSvg} sourceBlock The block whose field changed.
+   * @param {!Blockly.BlockSvg} targetBlock The block to copy the value to.
+   * @param {string} fieldName The name of the changed field.
+   * @param {*} newValue The new value of the field.
+   * @returns {boolean} true if the value is copied to the target block.
+   * @private
+   */
+  shouldUpdateField_(sourceBlock, targetBlock, fieldName, newValue) {
+    const policy = this.multiFieldUpdatePolicy_;
+    if (!policy) {
+      return true;
+    }
+    if (typeof policy === 'function') {
+      return !!policy(sourceBlock, targetBlock, fieldName, newValue);
+    }
+    const listed = (list, value) => Array.isArray(list) && list.includes(value);
+    if (policy.allowBlockTypes &&
+        !listed(policy.allowBlockTypes, targetBlock.type) ||
+        listed(policy.denyBlockTypes, targetBlock.type) ||
+        policy.allowFields && !listed(policy.allowFields, fieldName) ||
+        listed(policy.denyFields, fieldName)) {
+      return false;
+    }
+    return typeof policy.filter !== 'function' ||
+        !!policy.filter(sourceBlock, targetBlock, fieldName, newValue);
   }
 
   /**
@@ -455,7 +755,9 @@ export class Multiselect {
       this.registeredShortcut_ = false;
     } else if (!this.workspace_.keyboardAccessibilityMode &&
         !this.registeredShortcut_) {
-      Shortcut.registerOurShortcut();
+      Shortcut.registerOurShortcut(this.useCopyPasteCrossTab_,
+          this.useSystemClipboard_, this.useSelectionKeys_,
+          this.useNudgeKeys_, this.useCopyAsCodeKeys_);
       this.registeredShortcut_ = true;
     }
   }
@@ -501,4 +803,23 @@ export class Multiselect {
       this.controls_.disableMultiselect();
     }
   }
+
+  /**
+   * Handle a pointer move over the workspace, to paste at the pointer.
+   * @param {PointerEvent} e The pointer event.
+   * @private
+   */
+  onPointerMove_(e) {
+    pointerPositionWeakMap.set(this.workspace_,
+        new Blockly.utils.Coordinate(e.clientX, e.clientY));
+  }
+
+  /**
+   * Handle the pointer leaving the workspace, to paste at the viewport
+   * centre instead.
+   * @private
+   */
+  onPointerLeave_() {
+    pointerPositionWeakMap.delete(this.workspace_);
+  }
 }
@@ -0,0 +1,264 @@
+/**
+ * @license
+ * Copyright 2026 MIT
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview System clipboard integration for multiple copy/paste.
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  createClipboardPayload, parseClipboardPayload, loadClipboardPayload,
+  getClipboardHistory, dragSelectionWeakMap, hasSelectedParent,
+  codeGeneratorWeakMap,
+} from './global';
+
+/**
+ * Custom clipboard format holding the payload in browsers supporting it,
+ * along with the plain text one.
+ */
+const CLIPBOARD_MIME_TYPE = 'web application/vnd.blockly-multiselect+json';
+
+/**
+ * Serialize the copied elements and their connections into the JSON
+ * payload written to the system clipboard.
+ * @returns {string} The JSON payload.
+ */
+export const serializeCopyData = function() {
+  return JSON.stringify(createClipboardPayload());
+};
+
+/**
+ * Load a JSON payload read from the system clipboard into the copied
+ * elements and their connections.
+ * @param {string} text The text read from the system clipboard.
+ * @returns {boolean} true if the text was a payload that can be pasted in
+ *     this app and got loaded.
+ */
+export const deserializeCopyData = function(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (e) {
+    return false;
+  }
+  // Plain JSON arrays copied from elsewhere are not the legacy format.
+  payload = Array.isArray(payload) ? null : parseClipboardPayload(payload);
+  if (!payload) {
+    return false;
+  }
+  loadClipboardPayload(payload);
+  return true;
+};
+
+/**
+ * Write the copied elements to the system clipboard, as the custom format
+ * where supported and as plain text.
+ * @returns {!Promise<boolean>} Resolves to true once written, or to false if
+ *     the clipboard is not available or the permission is denied.
+ */
+export const writeToSystemClipboard = async function() {
+  const text = serializeCopyData();
+  try {
+    if (typeof ClipboardItem !== 'undefined' && navigator.clipboard.write &&
+        ClipboardItem.supports && ClipboardItem.supports(CLIPBOARD_MIME_TYPE)) {
+      await navigator.clipboard.write([new ClipboardItem({
+        [CLIPBOARD_MIME_TYPE]: new Blob([text], {type: CLIPBOARD_MIME_TYPE}),
+        'text/plain': new Blob([text], {type: 'text/plain'}),
+      })]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+  } catch (e) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Read the copied elements back from the system clipboard.
+ * @returns {!Promise<boolean>} Resolves to true if the clipboard held a
+ *     payload, which got loaded into the copied elements, or to false if it
+ *     did not, is not available or the permission is denied.
+ */
+export const readFromSystemClipboard = async function() {
+  try {
+    if (navigator.clipboard.read) {
+      for (const item of await navigator.clipboard.read()) {
+        for (const type of [CLIPBOARD_MIME_TYPE, 'text/plain']) {
+          if (item.types.includes(type)) {
+            const blob = await item.getType(type);
+            return deserializeCopyData(await blob.text());
+          }
+        }
+      }
+      return false;
+    }
+    return deserializeCopyData(await navigator.clipboard.readText());
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Number of block types previewed for each clipboard history entry.
+ */
+const PREVIEW_TYPES = 3;
+
+/**
+ * Get the text describing a clipboard history entry, with the number of
+ * blocks and comments and the types of the first blocks.
+ * @param {!Object} entry The clipboard history entry.
+ * @returns {string} The text of the entry.
+ */
+const getHistoryEntryText = function(entry) {
+  const blocks = entry.elements.filter((data) => data.blockState);
+  const types = [...new Set(blocks.map((data) => data.blockState.type))];
+  const blockCount = blocks.length;
+  const commentCount = entry.elements.length - blockCount;
+  const counts = [];
+  if (blockCount === 1) {
+    counts.push(Blockly.Msg['CLIPBOARD_HISTORY_ONE_BLOCK'] ?
+        Blockly.Msg['CLIPBOARD_HISTORY_ONE_BLOCK'] : '1 block');
+  } else if (blockCount) {
+    counts.push((Blockly.Msg['CLIPBOARD_HISTORY_X_BLOCKS'] ?
+        Blockly.Msg['CLIPBOARD_HISTORY_X_BLOCKS'] : '%1 blocks')
+        .replace('%1', blockCount));
+  }
+  if (commentCount === 1) {
+    counts.push(Blockly.Msg['CLIPBOARD_HISTORY_ONE_COMMENT'] ?
+        Blockly.Msg['CLIPBOARD_HISTORY_ONE_COMMENT'] : '1 comment');
+  } else if (commentCount) {
+    counts.push((Blockly.Msg['CLIPBOARD_HISTORY_X_COMMENTS'] ?
+        Blockly.Msg['CLIPBOARD_HISTORY_X_COMMENTS'] : '%1 comments')
+        .replace('%1', commentCount));
+  }
+  let text = counts.join(', ');
+  if (types.length) {
+    text += ': ' + types.slice(0, PREVIEW_TYPES).join(', ') +
+        (types.length > PREVIEW_TYPES ? ', …' : '');
+  }
+  return text;
+};
+
+/**
+ * Get the menu options listing the clipboard history, most recent copy
+ * first, to paste one of the earlier copies.
+ * @param {boolean} useCopyPasteCrossTab Whether or not to use the history
+ *     shared across tabs.
+ * @param {function()} paste Paste the copied elements.
+ * @returns {!Array<!Object>} The menu options.
+ */
+export const getClipboardHistoryMenuOptions = function(
+    useCopyPasteCrossTab, paste) {
+  return getClipboardHistory(useCopyPasteCrossTab).map((entry) => ({
+    text: getHistoryEntryText(entry),
+    enabled: true,
+    callback: function() {
+      loadClipboardPayload(entry);
+      paste();
+    },
+  }));
+};
+
+/**
+ * Get the selected blocks to generate the code of, the ones without a
+ * selected surround parent (which generates them along), grouped into runs
+ * of blocks following each other in a stack, from top to bottom.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to look in.
+ * @returns {!Array<!Array<!Blockly.BlockSvg>>} The runs of blocks.
+ */
+const getCodeBlockRuns = function(workspace) {
+  let blocks = [];
+  const selected = Blockly.common.getSelected();
+  const dragSelection = dragSelectionWeakMap.get(workspace);
+  if (dragSelection && dragSelection.size) {
+    blocks = [...dragSelection].map((id) => workspace.getBlockById(id))
+        .filter((block) => block && !hasSelectedParent(block));
+  } else if (selected instanceof Blockly.BlockSvg &&
+      selected.workspace === workspace) {
+    blocks = [selected];
+  }
+  const runs = blocks
+      .filter((block) => !blocks.includes(block.getPreviousBlock()))
+      .map((block) => {
+        const run = [block];
+        let next = block.getNextBlock();
+        while (next && blocks.includes(next)) {
+          run.push(next);
+          next = next.getNextBlock();
+        }
+        return run;
+      });
+  const positions = new Map(
+      runs.map(([block]) => [block, block.getRelativeToSurfaceXY()]));
+  return runs.sort(([a], [b]) => positions.get(a).y - positions.get(b).y ||
+      positions.get(a).x - positions.get(b).x);
+};
+
+/**
+ * Check whether the selection of the workspace can be copied as code, that
+ * is if it has a code generator and some selected blocks.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to check.
+ * @returns {boolean} true if the selection can be copied as code.
+ */
+export const canCopyAsCode = function(workspace) {
+  return codeGeneratorWeakMap.has(workspace) &&
+      getCodeBlockRuns(workspace).length > 0;
+};
+
+/**
+ * Generate the code of the selected blocks with the code generator of the
+ * workspace, the same way workspaceToCode() does for all the top blocks,
+ * leaving out the blocks below them which are not selected.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to generate from.
+ * @returns {string} The generated code.
+ */
+export const getSelectionCode = function(workspace) {
+  const generator = codeGeneratorWeakMap.get(workspace);
+  if (!generator) {
+    return '';
+  }
+  generator.init(workspace);
+  const code = [];
+  for (const run of getCodeBlockRuns(workspace)) {
+    let line = '';
+    for (const block of run) {
+      const blockCode = generator.blockToCode(block, true);
+      // Value blocks without a parent get a line of their own.
+      line += Array.isArray(blockCode) ?
+          generator.scrubNakedValue(blockCode[0]) : blockCode;
+    }
+    if (line) {
+      code.push(line);
+    }
+  }
+  return generator.finish(code.join('\n'))
+      .replace(/^\s+\n/, '')
+      .replace(/\n\s+$/, '\n');
+};
+
+/**
+ * Write the code generated from the selected stacks to the system clipboard
+ * as plain text, telling the user if it cannot be written.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to generate from.
+ * @returns {!Promise<boolean>} Resolves to true once written, or to false if
+ *     the clipboard is not available or the permission is denied. Rejects
+ *     with the error of the code generator if it fails.
+ */
+export const writeCodeToSystemClipboard = async function(workspace) {
+  // Generate before writing, not to report generator errors as clipboard
+  // failures.
+  const code = getSelectionCode(workspace);
+  try {
+    await navigator.clipboard.writeText(code);
+  } catch (e) {
+    Blockly.dialog.alert(Blockly.Msg['COPY_AS_CODE_FAILED'] ?
+        Blockly.Msg['COPY_AS_CODE_FAILED'] :
+        'The code could not be copied to the clipboard.');
+    return false;
+  }
+  return true;
+};
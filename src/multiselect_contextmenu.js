@@ -13,15 +13,35 @@ import {
   dragSelectionWeakMap, hasSelectedParent, copyData,
   connectionDBList, dataCopyToStorage, dataCopyFromStorage,
   blockNumGetFromStorage, registeredContextMenu, multiDraggableWeakMap, getByID,
+  isSelectable, addToSelection, clearSelection, updateSelected,
+  getSelectableElements, invertSelection, addCopyDataToHistory,
+  getClipboardHistory, getPastePosition, preparePaste, getCapacityError,
+  codeGeneratorWeakMap,
+  getSelectionCopyData, loadClipboardPayload,
 } from './global';
+import {fireSelectionChange} from './multiselect_events';
 import {MultiselectDraggable} from './multiselect_draggable';
+import {
+  writeToSystemClipboard, readFromSystemClipboard,
+  getClipboardHistoryMenuOptions, canCopyAsCode, writeCodeToSystemClipboard,
+} from './multiselect_clipboard';
+import {
+  canExportSelection, exportSelection, readSelectionFile, pastePayload,
+  ImageFormat, exportSelectionAsImage,
+} from './multiselect_export';
+import {
+  Alignment, Distribution, getTopElements, alignElements, distributeElements,
+  cleanUpElements,
+} from './multiselect_layout';
 
 /**
  * Copy multiple selected blocks to clipboard.
  * @param {boolean} useCopyPasteCrossTab Whether or not to use
  *     cross tab copy paste.
+ * @param {boolean} useSystemClipboard Whether or not to use the system
+ *     clipboard.
  */
-const registerCopy = function(useCopyPasteCrossTab) {
+const registerCopy = function(useCopyPasteCrossTab, useSystemClipboard) {
   const id = 'blockCopyToStorage';
   const copyOptions = {
     displayText: function(scope) {
@@ -81,44 +101,17 @@ const registerCopy = function(useCopyPasteCrossTab) {
     },
     callback: function(scope) {
       const workspace = scope.block.workspace;
-      copyData.clear();
       workspace.hideChaff();
-      const blockList = [];
-      const apply = function(block) {
-        if (copyOptions.check(block)) {
-          copyData.add(JSON.stringify(block.toCopyData()));
-          blockList.push(block.id);
-        }
-      };
-      const selected = Blockly.common.getSelected();
-      const dragSelection = dragSelectionWeakMap.get(workspace);
       Blockly.Events.setGroup(true);
-
-      // Handle the case where MultiselectDraggable is in use
-      if (selected && selected instanceof MultiselectDraggable) {
-        for (const element of selected.subDraggables) {
-          if (element[0] instanceof Blockly.BlockSvg) {
-            apply(element[0]);
-          }
-        }
-      } else if (!dragSelection.size) {
-        apply(selected);
-      }
-
-      connectionDBList.length = 0;
-      blockList.forEach(function(id) {
-        const block = workspace.getBlockById(id);
-        const parentBlock = block.getParent();
-        if (parentBlock && blockList.indexOf(parentBlock.id) !== -1 &&
-          parentBlock.getNextBlock() === block) {
-          connectionDBList.push([
-            blockList.indexOf(parentBlock.id),
-            blockList.indexOf(block.id)]);
-        }
-      });
+      loadClipboardPayload(getSelectionCopyData(workspace, (element) =>
+        element instanceof Blockly.BlockSvg && copyOptions.check(element)));
+      addCopyDataToHistory(useCopyPasteCrossTab);
       if (useCopyPasteCrossTab) {
         dataCopyToStorage();
       }
+      if (useSystemClipboard) {
+        writeToSystemClipboard();
+      }
       Blockly.Events.setGroup(false);
       return true;
     },
@@ -194,6 +187,17 @@ const registerDuplicate = function() {
         }
       };
       const dragSelection = dragSelectionWeakMap.get(workspace);
+      // Duplicate either all the blocks or none of them.
+      const blocks = dragSelection.size ?
+          [...dragSelection].map((id) => workspace.getBlockById(id)) :
+          [scope.block];
+      const capacityError = getCapacityError(workspace, blocks
+          .filter((block) => duplicateOption.check(block))
+          .map((block) => Blockly.common.getBlockTypeCounts(block, true)));
+      if (capacityError) {
+        Blockly.dialog.alert(capacityError);
+        return;
+      }
       Blockly.Events.setGroup(true);
 
       // We want to update the dragSelection and the multiDraggable object to
@@ -225,7 +229,7 @@ const registerDuplicate = function() {
               duplicatedBlocks[origParentBlock.id].nextConnection,
               block.previousConnection]);
           }
-          if (block.type !== 'drag_to_dupe') {
+          if (isSelectable(block)) {
             dragSelection.add(block.id);
             multiDraggable.addSubDraggable_(block);
           }
@@ -234,11 +238,8 @@ const registerDuplicate = function() {
       connectionDBList.forEach(function(connectionDB) {
         connectionDB[0].connect(connectionDB[1]);
       });
-      if (dragSelection.size === 1) {
-        Blockly.common.setSelected(getByID(workspace, dragSelection.values().next().value));
-      } else {
-        Blockly.common.setSelected(multiDraggable);
-      }
+      updateSelected(workspace);
+      fireSelectionChange(workspace, true);
       Blockly.Events.setGroup(false);
     },
     scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
@@ -700,6 +701,7 @@ const registerDelete = function() {
       }
 
       Blockly.common.setSelected(null);
+      fireSelectionChange(workspace);
       Blockly.Events.setGroup(false);
     },
     scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
@@ -712,11 +714,85 @@ const registerDelete = function() {
   Blockly.ContextMenuRegistry.registry.register(deleteOption);
 };
 
+/**
+ * Add context menu 'Select all blocks of this type' for blocks.
+ */
+const registerSelectSameType = function() {
+  const id = 'blockSelectSameType';
+  const selectSameTypeOption = {
+    displayText: function(scope) {
+      const count = selectSameTypeOption.getBlocks(scope.block).length;
+      return (Blockly.Msg['SELECT_SAME_TYPE_BLOCKS'] ?
+          Blockly.Msg['SELECT_SAME_TYPE_BLOCKS'] :
+          'Select all blocks of this type (%1)').replace('%1', String(count));
+    },
+    preconditionFn: function(scope) {
+      if (scope.block.isInFlyout ||
+          !dragSelectionWeakMap.get(scope.block.workspace)) {
+        return 'hidden';
+      }
+      return selectSameTypeOption.getBlocks(scope.block).length ?
+          'enabled' : 'disabled';
+    },
+    getBlocks: function(block) {
+      return block.workspace.getBlocksByType(block.type, false)
+          .filter((b) => isSelectable(b));
+    },
+    callback: function(scope) {
+      const workspace = scope.block.workspace;
+      clearSelection(workspace);
+      selectSameTypeOption.getBlocks(scope.block).forEach((block) => {
+        addToSelection(block);
+      });
+      updateSelected(workspace);
+      fireSelectionChange(workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    id,
+    weight: 6,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(selectSameTypeOption);
+};
+
+/**
+ * Add context menu 'Copy as code' for blocks.
+ */
+const registerCopyAsCode = function() {
+  const id = 'blockCopyAsCode';
+  const copyAsCodeOption = {
+    displayText: function() {
+      return Blockly.Msg['COPY_AS_CODE'] ?
+          Blockly.Msg['COPY_AS_CODE'] : 'Copy as code';
+    },
+    preconditionFn: function(scope) {
+      const workspace = scope.block.workspace;
+      if (!codeGeneratorWeakMap.has(workspace)) {
+        return 'hidden';
+      }
+      return canCopyAsCode(workspace) ? 'enabled' : 'disabled';
+    },
+    callback: function(scope) {
+      writeCodeToSystemClipboard(scope.block.workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    id,
+    weight: 0,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(copyAsCodeOption);
+};
+
 /**
  * Paste multiple selected draggables from clipboard.
  * @param {boolean} useCopyPasteCrossTab Whether to use cross tab copy paste.
+ * @param {boolean} useSystemClipboard Whether to use the system clipboard.
  */
-const registerPaste = function(useCopyPasteCrossTab) {
+const registerPaste = function(useCopyPasteCrossTab, useSystemClipboard) {
   const id = 'blockPasteFromStorage';
   const pasteOption = {
     displayText: function() {
@@ -740,10 +816,38 @@ const registerPaste = function(useCopyPasteCrossTab) {
         'hidden': (blockNumGetFromStorage(useCopyPasteCrossTab) < 1?
           'disabled': 'enabled');
     },
-    callback: function(scope) {
-      let workspace = scope.workspace;
-      const dragSelection = dragSelectionWeakMap.get(workspace);
+    callback: function(scope, e) {
+      const position = getPastePosition(scope.workspace, e);
+      if (!useSystemClipboard) {
+        if (useCopyPasteCrossTab) {
+          dataCopyFromStorage();
+        }
+        pasteOption.paste(scope.workspace, position);
+        return;
+      }
+      // Fall back to the cross tab clipboard storage if the system
+      // clipboard holds no blocks or cannot be read.
+      readFromSystemClipboard().then((loaded) => {
+        if (!loaded && useCopyPasteCrossTab) {
+          dataCopyFromStorage();
+        }
+        pasteOption.paste(scope.workspace, position);
+      });
+    },
+    paste: function(workspace, position) {
+      const dataList = [...copyData].map((stringData) =>
+        JSON.parse(stringData));
+      const pasteWorkspace = workspace.isFlyout ?
+          workspace.targetWorkspace : workspace;
       Blockly.Events.setGroup(true);
+      // Move the elements as a group to the right-click location, or the
+      // pointer or viewport centre when pasting from elsewhere.
+      const getPasteBlock = preparePaste(dataList, pasteWorkspace, position);
+      if (!getPasteBlock) {
+        Blockly.Events.setGroup(false);
+        return false;
+      }
+      const dragSelection = dragSelectionWeakMap.get(workspace);
       const multiDraggable = multiDraggableWeakMap.get(workspace);
 
       // Update the dragSelection and multiDraggable object
@@ -758,13 +862,9 @@ const registerPaste = function(useCopyPasteCrossTab) {
       }
 
       const blockList = [];
-      if (useCopyPasteCrossTab) {
-        dataCopyFromStorage();
-      }
-      copyData.forEach(function(stringData) {
+      dataList.forEach(function(data) {
         // Pasting always pastes to the main workspace, even if the copy
         // started in a flyout workspace.
-        const data = JSON.parse(stringData);
 
         // Set unique id for data to prevent bug where
         // blocks on multiple workspaces are highlighted.
@@ -784,33 +884,36 @@ const registerPaste = function(useCopyPasteCrossTab) {
         }
         if (data.typeCounts &&
             workspace.isCapacityAvailable(data.typeCounts)) {
-          const element = Blockly.clipboard.paste(data, workspace);
-          if (element) {
-            blockList.push(element);
-          }
-          if (element.type !== 'drag_to_dupe') {
+          const element = getPasteBlock(data, workspace);
+          blockList.push(element);
+          if (isSelectable(element)) {
             dragSelectionWeakMap.get(workspace).add(element.id);
             multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
           }
         } else if (data.commentState) {
-          const element = Blockly.clipboard.paste(data, workspace);
-          if (element) {
+          const element = getPasteBlock(data, workspace);
+          blockList.push(element);
+          if (isSelectable(element)) {
             element.select();
+            dragSelectionWeakMap.get(workspace).add(element.id);
+            multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
           }
-          dragSelectionWeakMap.get(workspace).add(element.id);
-          multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
+        } else {
+          // Keep the indices of the connections in line with the elements.
+          blockList.push(null);
         }
       });
       connectionDBList.forEach(function(connectionDB) {
-        blockList[connectionDB[0]].nextConnection.connect(
-            blockList[connectionDB[1]].previousConnection);
+        const parentBlock = blockList[connectionDB[0]];
+        const block = blockList[connectionDB[1]];
+        if (parentBlock && block && parentBlock.nextConnection &&
+            block.previousConnection) {
+          parentBlock.nextConnection.connect(block.previousConnection);
+        }
       });
+      updateSelected(workspace);
+      fireSelectionChange(workspace, true);
       Blockly.Events.setGroup(false);
-      if (dragSelection.size === 1) {
-        Blockly.common.setSelected(getByID(workspace, dragSelection.values().next().value));
-      } else {
-        Blockly.common.setSelected(multiDraggable);
-      }
       return true;
     },
     scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
@@ -871,13 +974,14 @@ const registerSelectAll = function() {
         }
       });
       blockList.forEach(function(block) {
-        if (block.type !== 'drag_to_dupe') {
+        if (isSelectable(block)) {
           dragSelectionWeakMap.get(block.workspace).add(block.id);
           multiDraggable.addSubDraggable_(block);
         }
       });
 
-      Blockly.common.setSelected(multiDraggable);
+      updateSelected(scope.workspace);
+      fireSelectionChange(scope.workspace);
     },
     scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
     id,
@@ -889,6 +993,325 @@ const registerSelectAll = function() {
   Blockly.ContextMenuRegistry.registry.register(selectAllOption);
 };
 
+/**
+ * Build the options of the 'Align and distribute' submenu.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to lay out.
+ * @returns {!Array<!Blockly.ContextMenuRegistry.LegacyContextMenuOption>}
+ *     The submenu options.
+ */
+const getLayoutMenuOptions = function(workspace) {
+  const count = getTopElements(workspace).length;
+  const option = function(msg, fallback, minCount, callback) {
+    return {
+      text: Blockly.Msg[msg] ? Blockly.Msg[msg] : fallback,
+      enabled: count >= minCount,
+      callback: callback,
+    };
+  };
+  const align = (alignment) => () => alignElements(workspace, alignment);
+  const distribute = (distribution) =>
+    () => distributeElements(workspace, distribution);
+  return [
+    option('ALIGN_LEFT', 'Align left', 2, align(Alignment.LEFT)),
+    option('ALIGN_CENTER', 'Align centre', 2, align(Alignment.CENTER)),
+    option('ALIGN_RIGHT', 'Align right', 2, align(Alignment.RIGHT)),
+    option('ALIGN_TOP', 'Align top', 2, align(Alignment.TOP)),
+    option('ALIGN_MIDDLE', 'Align middle', 2, align(Alignment.MIDDLE)),
+    option('ALIGN_BOTTOM', 'Align bottom', 2, align(Alignment.BOTTOM)),
+    option('DISTRIBUTE_HORIZONTALLY', 'Distribute horizontally', 3,
+        distribute(Distribution.HORIZONTAL)),
+    option('DISTRIBUTE_VERTICALLY', 'Distribute vertically', 3,
+        distribute(Distribution.VERTICAL)),
+  ];
+};
+
+/**
+ * Show the options of a context menu item as its submenu. Blockly has no
+ * submenus, so this opens another context menu at the same place, replacing
+ * the one the item was chosen from.
+ * @param {!Array<!Object>} options The options of the submenu.
+ * @param {!Event} e The event which opened the context menu.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace of the menu.
+ */
+const showSubmenu = function(options, e, workspace) {
+  Blockly.ContextMenu.show(e, options, workspace.RTL, workspace);
+};
+
+/**
+ * Add context menu 'Align and distribute' for blocks and workspace comments,
+ * opening a submenu with the layout commands for the multiple selection.
+ */
+const registerLayout = function() {
+  for (const [id, scopeType] of [
+    ['blockLayout', Blockly.ContextMenuRegistry.ScopeType.BLOCK],
+    ['commentLayout', Blockly.ContextMenuRegistry.ScopeType.COMMENT],
+  ]) {
+    const layoutOption = {
+      displayText: function() {
+        return Blockly.Msg['ALIGN_AND_DISTRIBUTE'] ?
+            Blockly.Msg['ALIGN_AND_DISTRIBUTE'] : 'Align and distribute';
+      },
+      preconditionFn: function(scope) {
+        const element = scope.block || scope.comment;
+        const dragSelection = dragSelectionWeakMap.get(element.workspace);
+        if (!dragSelection || !dragSelection.has(element.id) ||
+            getTopElements(element.workspace).length < 2) {
+          return 'hidden';
+        }
+        return 'enabled';
+      },
+      callback: function(scope, e) {
+        const workspace = (scope.block || scope.comment).workspace;
+        showSubmenu(getLayoutMenuOptions(workspace), e, workspace);
+      },
+      scopeType,
+      id,
+      weight: 7,
+    };
+    if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+      Blockly.ContextMenuRegistry.registry.unregister(id);
+    }
+    Blockly.ContextMenuRegistry.registry.register(layoutOption);
+  }
+};
+
+/**
+ * Add context menu 'Export as image' for blocks and workspace comments,
+ * opening a submenu with the image formats to download the selection as.
+ */
+const registerExportImage = function() {
+  for (const [id, scopeType] of [
+    ['blockExportImage', Blockly.ContextMenuRegistry.ScopeType.BLOCK],
+    ['commentExportImage', Blockly.ContextMenuRegistry.ScopeType.COMMENT],
+  ]) {
+    const exportImageOption = {
+      displayText: function() {
+        return Blockly.Msg['EXPORT_AS_IMAGE'] ?
+            Blockly.Msg['EXPORT_AS_IMAGE'] : 'Export as image';
+      },
+      preconditionFn: function(scope) {
+        const element = scope.block || scope.comment;
+        return dragSelectionWeakMap.get(element.workspace) ?
+            'enabled' : 'hidden';
+      },
+      callback: function(scope, e) {
+        const workspace = (scope.block || scope.comment).workspace;
+        const option = function(text, format) {
+          return {
+            text,
+            enabled: true,
+            callback: function() {
+              exportSelectionAsImage(workspace, format).catch(() => {
+                Blockly.dialog.alert(Blockly.Msg['EXPORT_AS_IMAGE_FAILED'] ?
+                    Blockly.Msg['EXPORT_AS_IMAGE_FAILED'] :
+                    'The image could not be exported.');
+              });
+            },
+          };
+        };
+        showSubmenu([
+          option('SVG', ImageFormat.SVG),
+          option('PNG', ImageFormat.PNG),
+        ], e, workspace);
+      },
+      scopeType,
+      id,
+      weight: 7,
+    };
+    if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+      Blockly.ContextMenuRegistry.registry.unregister(id);
+    }
+    Blockly.ContextMenuRegistry.registry.register(exportImageOption);
+  }
+};
+
+/**
+ * Add context menu 'Paste from history…' for workspace.
+ * @param {boolean} useCopyPasteCrossTab Whether to use cross tab copy paste.
+ */
+const registerPasteFromHistory = function(useCopyPasteCrossTab) {
+  const id = 'workspacePasteFromHistory';
+  const pasteFromHistoryOption = {
+    displayText: function() {
+      return Blockly.Msg['PASTE_FROM_HISTORY'] ?
+          Blockly.Msg['PASTE_FROM_HISTORY'] : 'Paste from history…';
+    },
+    preconditionFn: function(scope) {
+      if (scope.workspace.options.readOnly) {
+        return 'hidden';
+      }
+      return getClipboardHistory(useCopyPasteCrossTab).length ?
+          'enabled' : 'disabled';
+    },
+    callback: function(scope, e) {
+      const pasteOption = Blockly.ContextMenuRegistry.registry
+          .getItem('blockPasteFromStorage');
+      const position = getPastePosition(scope.workspace, e);
+      showSubmenu(getClipboardHistoryMenuOptions(useCopyPasteCrossTab,
+          () => pasteOption.paste(scope.workspace, position)),
+      e, scope.workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
+    id,
+    weight: 0,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(pasteFromHistoryOption);
+};
+
+/**
+ * Add context menu 'Export to file' for blocks.
+ */
+const registerExportSelection = function() {
+  const id = 'blockExportSelection';
+  const exportOption = {
+    displayText: function() {
+      return Blockly.Msg['EXPORT_SELECTION'] ?
+          Blockly.Msg['EXPORT_SELECTION'] : 'Export to file';
+    },
+    preconditionFn: function(scope) {
+      const workspace = scope.block.workspace;
+      if (!dragSelectionWeakMap.get(workspace)) {
+        return 'hidden';
+      }
+      return canExportSelection(workspace) ? 'enabled' : 'disabled';
+    },
+    callback: function(scope) {
+      exportSelection(scope.block.workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    id,
+    weight: 0,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(exportOption);
+};
+
+/**
+ * Add context menu 'Import from file…' for workspace.
+ */
+const registerImportSelection = function() {
+  const id = 'workspaceImportSelection';
+  const importOption = {
+    displayText: function() {
+      return Blockly.Msg['IMPORT_SELECTION'] ?
+          Blockly.Msg['IMPORT_SELECTION'] : 'Import from file…';
+    },
+    preconditionFn: function(scope) {
+      return scope.workspace.options.readOnly ? 'hidden' : 'enabled';
+    },
+    callback: function(scope, e) {
+      const pasteOption = Blockly.ContextMenuRegistry.registry
+          .getItem('blockPasteFromStorage');
+      const position = getPastePosition(scope.workspace, e);
+      readSelectionFile((payload) => {
+        pastePayload(payload,
+            () => pasteOption.paste(scope.workspace, position));
+      }, (err) => Blockly.dialog.alert(err.message));
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
+    id,
+    weight: 0,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(importOption);
+};
+
+/**
+ * Add context menu 'Clean up selected blocks' for workspace.
+ */
+const registerCleanUpSelection = function() {
+  const id = 'workspaceCleanUpSelection';
+  const cleanUpSelectionOption = {
+    displayText: function() {
+      return Blockly.Msg['CLEAN_UP_SELECTION'] ?
+          Blockly.Msg['CLEAN_UP_SELECTION'] : 'Clean up selected blocks';
+    },
+    preconditionFn: function(scope) {
+      if (!scope.workspace.isMovable() ||
+          !dragSelectionWeakMap.get(scope.workspace).size) {
+        return 'hidden';
+      }
+      return getTopElements(scope.workspace).length ? 'enabled' : 'disabled';
+    },
+    callback: function(scope) {
+      cleanUpElements(scope.workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
+    id,
+    weight: 3,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(cleanUpSelectionOption);
+};
+
+/**
+ * Add context menu 'Deselect all' for workspace.
+ */
+const registerDeselectAll = function() {
+  const id = 'workspaceDeselectAll';
+  const deselectAllOption = {
+    displayText: function() {
+      return Blockly.Msg['DESELECT_ALL'] ?
+          Blockly.Msg['DESELECT_ALL'] : 'Deselect all';
+    },
+    preconditionFn: function(scope) {
+      const selected = Blockly.getSelected();
+      return dragSelectionWeakMap.get(scope.workspace).size ||
+          selected && selected.workspace === scope.workspace ?
+          'enabled' : 'disabled';
+    },
+    callback: function(scope) {
+      clearSelection(scope.workspace);
+      updateSelected(scope.workspace);
+      fireSelectionChange(scope.workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
+    id,
+    weight: 5,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(deselectAllOption);
+};
+
+/**
+ * Add context menu 'Invert selection' for workspace.
+ */
+const registerInvertSelection = function() {
+  const id = 'workspaceInvertSelection';
+  const invertSelectionOption = {
+    displayText: function() {
+      return Blockly.Msg['INVERT_SELECTION'] ?
+          Blockly.Msg['INVERT_SELECTION'] : 'Invert selection';
+    },
+    preconditionFn: function(scope) {
+      return getSelectableElements(scope.workspace).length ?
+          'enabled' : 'disabled';
+    },
+    callback: function(scope) {
+      invertSelection(scope.workspace);
+      fireSelectionChange(scope.workspace);
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
+    id,
+    weight: 5,
+  };
+  if (Blockly.ContextMenuRegistry.registry.getItem(id) !== null) {
+    Blockly.ContextMenuRegistry.registry.unregister(id);
+  }
+  Blockly.ContextMenuRegistry.registry.register(invertSelectionOption);
+};
+
 /**
  * Registers copy to back pack context menu item in back pack.
  * @param {boolean} disablePreconditionContainsCheck Option for
@@ -1063,6 +1486,7 @@ const registerCommentDelete = function() {
       }
 
       Blockly.common.setSelected(null);
+      fireSelectionChange(workspace);
       Blockly.Events.setGroup(false);
     },
     scopeType: Blockly.ContextMenuRegistry.ScopeType.COMMENT,
@@ -1151,17 +1575,14 @@ const registerCommentDuplicate = function() {
       }
 
       for (const [, comment] of Object.entries(duplicatedComments)) {
-        if (comment.id) {
+        if (comment.id && isSelectable(comment)) {
           dragSelection.add(comment.id);
           multiDraggable.addSubDraggable_(comment);
           comment.select();
         }
       }
-      if (dragSelection.size === 1) {
-        Blockly.common.setSelected(getByID(workspace, dragSelection.values().next().value));
-      } else {
-        Blockly.common.setSelected(multiDraggable);
-      }
+      updateSelected(workspace);
+      fireSelectionChange(workspace, true);
       Blockly.Events.setGroup(false);
     },
     scopeType: Blockly.ContextMenuRegistry.ScopeType.COMMENT,
@@ -1178,8 +1599,10 @@ const registerCommentDuplicate = function() {
  * Copy multiple selected comments to clipboard.
  * @param {boolean} useCopyPasteCrossTab Whether or not to use
  *     cross tab copy paste.
+ * @param {boolean} useSystemClipboard Whether or not to use the system
+ *     clipboard.
  */
-const registerCommentCopy = function(useCopyPasteCrossTab) {
+const registerCommentCopy = function(useCopyPasteCrossTab, useSystemClipboard) {
   const id = 'commentCopyToStorage';
   const copyOptions = {
     displayText: function(scope) {
@@ -1266,10 +1689,15 @@ const registerCommentCopy = function(useCopyPasteCrossTab) {
       } else if (!dragSelection.size) {
         apply(scope.comment);
       }
+      connectionDBList.length = 0;
 
+      addCopyDataToHistory(useCopyPasteCrossTab);
       if (useCopyPasteCrossTab) {
         dataCopyToStorage();
       }
+      if (useSystemClipboard) {
+        writeToSystemClipboard();
+      }
       Blockly.Events.setGroup(false);
       return true;
     },
@@ -1321,12 +1749,17 @@ export const registerOrigContextMenu = function() {
  * Registers all modified context menu item.
  * @param {boolean} useCopyPasteMenu Whether to use copy/paste menu.
  * @param {boolean} useCopyPasteCrossTab Whether to use cross tab copy/paste.
+ * @param {boolean} useSystemClipboard Whether to use the system clipboard.
  */
-export const registerOurContextMenu = function(useCopyPasteMenu, useCopyPasteCrossTab) {
+export const registerOurContextMenu = function(useCopyPasteMenu, useCopyPasteCrossTab,
+    useSystemClipboard) {
   if (useCopyPasteMenu) {
-    registerCopy(useCopyPasteCrossTab);
-    registerPaste(useCopyPasteCrossTab);
-    registerCommentCopy(useCopyPasteCrossTab);
+    registerCopy(useCopyPasteCrossTab, useSystemClipboard);
+    registerPaste(useCopyPasteCrossTab, useSystemClipboard);
+    registerPasteFromHistory(useCopyPasteCrossTab);
+    registerExportSelection();
+    registerImportSelection();
+    registerCommentCopy(useCopyPasteCrossTab, useSystemClipboard);
   }
   const map = {
     blockDuplicate: registerDuplicate,
@@ -1342,5 +1775,12 @@ export const registerOurContextMenu = function(useCopyPasteMenu, useCopyPasteCro
     map[id]();
   }
   registerSelectAll();
+  registerDeselectAll();
+  registerInvertSelection();
+  registerSelectSameType();
+  registerCopyAsCode();
+  registerLayout();
+  registerExportImage();
+  registerCleanUpSelection();
   updateToMultiCopyToBackpack();
 };
@@ -13,12 +13,16 @@ import * as Blockly from 'blockly/core';
 
 import DragSelect from 'dragselect';
 import {
+  addToSelection,
   dragSelectionWeakMap,
   getByID,
   inMultipleSelectionModeWeakMap,
   inPasteShortcut,
+  isSelectable,
   multiDraggableWeakMap,
+  removeFromSelection,
 } from './global';
+import {fireSelectionChange} from './multiselect_events';
 import {MultiselectDraggable} from './multiselect_draggable';
 
 /**
@@ -320,42 +324,21 @@ export class MultiselectControls {
    * @private
    */
   updateDraggables_(draggable) {
-    if (!draggable) {
+    if (!isSelectable(draggable)) {
       return;
     }
-    if (draggable instanceof Blockly.BlockSvg) {
-      // The case where the draggable is a block
-      if (!((draggable.isDeletable() || draggable.isMovable()) &&
-          !draggable.isShadow()) || draggable.type === 'drag_to_dupe') {
-        return;
-      }
-      if (this.dragSelection.has(draggable.id)) {
-        this.dragSelection.delete(draggable.id);
+    if (this.dragSelection.has(draggable.id)) {
+      removeFromSelection(draggable);
+      if (draggable instanceof Blockly.BlockSvg) {
         this.justUnselectedBlock_ = draggable;
-        this.multiDraggable.removeSubDraggable_(draggable);
-        draggable.pathObject.updateSelected(false);
-      } else {
-        this.dragSelection.add(draggable.id);
-        this.justUnselectedBlock_ = null;
-        this.multiDraggable.addSubDraggable_(draggable);
-        draggable.pathObject.updateSelected(true);
-        draggable.bringToFront();
       }
     } else {
-      // The case where the draggable is not a block (e.g. ws comment)
-      if (!(draggable.isMovable() || draggable.isDeletable())) {
-        return;
-      }
-      if (this.dragSelection.has(draggable.id)) {
-        this.dragSelection.delete(draggable.id);
-        this.multiDraggable.removeSubDraggable_(draggable);
-        draggable.unselect();
-      } else {
-        this.dragSelection.add(draggable.id);
-        this.multiDraggable.addSubDraggable_(draggable);
-        draggable.select();
+      addToSelection(draggable);
+      if (draggable instanceof Blockly.BlockSvg) {
+        this.justUnselectedBlock_ = null;
       }
     }
+    fireSelectionChange(this.workspace_);
   }
 
 
@@ -442,6 +425,7 @@ export class MultiselectControls {
         }
       }
     }
+    fireSelectionChange(this.workspace_);
   }
 
   /**
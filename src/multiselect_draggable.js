@@ -8,7 +8,13 @@
  * @fileoverview Multiple selection draggable class.
  */
 import * as Blockly from 'blockly/core';
-import {dragSelectionWeakMap, hasSelectedParent, inMultipleSelectionModeWeakMap} from './global';
+import {
+  dragSelectionWeakMap, hasSelectedParent, inMultipleSelectionModeWeakMap,
+  multiselectControlsList, shortcutNames, isCopyable, getSelectionCopyData,
+  createClipboardPayload,
+} from './global';
+import {fireSelectionChange} from './multiselect_events';
+import {pastePayload} from './multiselect_export';
 
 
 /**
@@ -149,6 +155,7 @@ export class MultiselectDraggable {
       if (!this.subDraggables.has(clickedBlock)) {
         this.clearAll_();
         this.dragSelection.clear();
+        fireSelectionChange(this.workspace);
       }
     }
   }
@@ -187,6 +194,18 @@ export class MultiselectDraggable {
     return this.loc;
   }
 
+  /**
+   * Returns the topmost subdraggables, which carry the other subdraggables
+   * along when they move: the blocks without any selected parent, and the
+   * draggables without parents/child relationships like workspace comments.
+   * @returns {!Array<Blockly.IDraggable>} The topmost subdraggables.
+   */
+  getTopSubDraggables() {
+    return [...this.subDraggables.keys()].filter((draggable) =>
+      !(draggable instanceof Blockly.BlockSvg) ||
+      !hasSelectedParent(draggable, true));
+  }
+
   /**
    * Starts a drag on the multiselectDraggable object if there
    * are no other plugins that overwrite this method.
@@ -198,29 +217,19 @@ export class MultiselectDraggable {
     if (!this.inGroup) {
       Blockly.Events.setGroup(true);
     }
+    // Save only the topmost subdraggables to do the drag on
+    this.topSubDraggables.push(...this.getTopSubDraggables());
     for (const draggable of this.subDraggables) {
-      if (draggable[0] instanceof
-          Blockly.BlockSvg) {
-        // Save only the topmost subdraggables to do the drag on
-        // or if it is not any other draggable with parents/child
-        // relationships like workspace comments
-        if (!(hasSelectedParent(draggable[0], true))) {
-          this.topSubDraggables.push(draggable[0]);
-        }
-
-        // Save any connections between blocks of the same level
-        // (next statement)
-        if (!draggable[0].isShadow()) {
-          const parentBlock = draggable[0].getParent();
-          if (parentBlock && this.subDraggables.has(parentBlock) &&
-              parentBlock.getNextBlock() === draggable[0]) {
-            this.connectionDBList.push([parentBlock.nextConnection,
-              draggable[0].previousConnection]);
-          }
+      // Save any connections between blocks of the same level
+      // (next statement)
+      if (draggable[0] instanceof Blockly.BlockSvg &&
+          !draggable[0].isShadow()) {
+        const parentBlock = draggable[0].getParent();
+        if (parentBlock && this.subDraggables.has(parentBlock) &&
+            parentBlock.getNextBlock() === draggable[0]) {
+          this.connectionDBList.push([parentBlock.nextConnection,
+            draggable[0].previousConnection]);
         }
-      } else {
-        // If the draggable is not a block (e.g. ws comment)
-        this.topSubDraggables.push(draggable[0]);
       }
 
       this.subDraggables.set(draggable[0],
@@ -240,6 +249,17 @@ export class MultiselectDraggable {
    * @param {Blockly.Events.BLOCK_DRAG} e A drag event
    */
   drag(newLoc, e) {
+    // Snap the group's anchor, the first topmost subdraggable, to the
+    // grid and move the others by the same delta to keep their offsets.
+    const grid = this.workspace.getGrid();
+    if (grid && grid.shouldSnap() && this.topSubDraggables.length) {
+      const anchorLoc = this.subDraggables.get(this.topSubDraggables[0]);
+      if (anchorLoc instanceof Blockly.utils.Coordinate) {
+        newLoc = Blockly.utils.Coordinate.difference(
+            grid.alignXY(Blockly.utils.Coordinate.sum(anchorLoc, newLoc)),
+            anchorLoc);
+      }
+    }
     for (const draggable of this.topSubDraggables) {
       if (this.subDraggables.get(draggable) &&
           this.subDraggables.get(draggable) instanceof
@@ -257,8 +277,18 @@ export class MultiselectDraggable {
    * @param {Blockly.Events.BLOCK_DRAG} e A drag event
    */
   endDrag(e) {
+    // Dropping onto another workspace pastes the elements there, where they
+    // were dropped, then they go back to where they started in this one:
+    // to stay there when copying them or when the paste is refused, and to
+    // be deleted from there when moving them.
+    const dropWorkspace = e ? this.getDropWorkspace_(e) : null;
+    const transferred = dropWorkspace ?
+        this.transferTo_(dropWorkspace, this.getDropPosition_(dropWorkspace)) :
+        [];
     const dragTarget = this.workspace.getDragTarget(e);
-    if (dragTarget && this.topSubDraggables.some(
+    if (dropWorkspace) {
+      this.revertDrag();
+    } else if (dragTarget && this.topSubDraggables.some(
         (draggable) => dragTarget.shouldPreventMove(draggable))) {
       this.revertDrag();
     }
@@ -278,13 +308,107 @@ export class MultiselectDraggable {
       connectionDB[0].connect(connectionDB[1]);
     });
 
+    // Snap the topmost subdraggables left unconnected to the grid.
+    for (const draggable of this.topSubDraggables) {
+      if (draggable.snapToGrid !== undefined) {
+        draggable.snapToGrid();
+      }
+    }
+
     this.topSubDraggables.length = 0;
     this.connectionDBList.length = 0;
+    // Hold a modifier key to copy the elements instead of moving them.
+    if (transferred.length && !(e.ctrlKey || e.metaKey || e.altKey)) {
+      this.disposeSubDraggables_(transferred);
+    }
     if (!this.inGroup) {
       Blockly.Events.setGroup(false);
     }
   }
 
+  /**
+   * Get the other workspace with the multiselect plugin that the pointer
+   * is over, if it is not over this workspace (or over a workspace nested
+   * in it, like a mutator).
+   * @param {!PointerEvent} e The pointer event ending the drag.
+   * @returns {?Blockly.WorkspaceSvg} The workspace to drop onto, or null to
+   *     drop onto this workspace.
+   * @private
+   */
+  getDropWorkspace_(e) {
+    let dropWorkspace = null;
+    let dropArea = Infinity;
+    const workspaces = [this.workspace, ...[...multiselectControlsList]
+        .map((controls) => controls.workspace_)
+        .filter((workspace) => workspace !== this.workspace &&
+            workspace.rendered && workspace.isVisible() &&
+            !workspace.options.readOnly)];
+    for (const workspace of workspaces) {
+      const rect = workspace.getParentSvg().getBoundingClientRect();
+      const area = rect.width * rect.height;
+      // The innermost workspace under the pointer is the smallest one.
+      if (e.clientX >= rect.left && e.clientX <= rect.right &&
+          e.clientY >= rect.top && e.clientY <= rect.bottom &&
+          area < dropArea) {
+        dropWorkspace = workspace;
+        dropArea = area;
+      }
+    }
+    return dropWorkspace === this.workspace ? null : dropWorkspace;
+  }
+
+  /**
+   * Get where the top left corner of the dragged elements was dropped in
+   * the other workspace.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace dropped onto.
+   * @returns {!Blockly.utils.Coordinate} The position in the workspace
+   *     units of the workspace dropped onto.
+   * @private
+   */
+  getDropPosition_(workspace) {
+    const rect = this.getBoundingRectangle();
+    const screenPosition = Blockly.utils.svgMath.wsToScreenCoordinates(
+        this.workspace, new Blockly.utils.Coordinate(rect.left, rect.top));
+    return Blockly.utils.svgMath.screenToWsCoordinates(
+        workspace, screenPosition);
+  }
+
+  /**
+   * Paste the copyable subdraggables into another workspace, keeping their
+   * layout and the connections between them. The events of this workspace
+   * stay in the group of the drag, so that deleting the elements once moved
+   * is undone along with the drag.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+   * @param {!Blockly.utils.Coordinate} position Where to paste the top left
+   *     corner of the elements in the workspace.
+   * @returns {!Array<Blockly.IDraggable>} The subdraggables that got
+   *     pasted, along with the blocks they carry, or none if the paste is
+   *     refused (like over the capacity).
+   * @private
+   */
+  transferTo_(workspace, position) {
+    const copied = [...this.subDraggables.keys()].filter(isCopyable);
+    const payload = createClipboardPayload(
+        getSelectionCopyData(this.workspace, isCopyable));
+    if (!payload.elements.length) {
+      return [];
+    }
+    // Reuse the paste of the context menu, or of the shortcut without it.
+    const pasteOption = Blockly.ContextMenuRegistry.registry
+        .getItem('blockPasteFromStorage') ||
+        Blockly.ShortcutRegistry.registry
+            .getRegistry()[shortcutNames.MULTIPASTE];
+    if (!pasteOption) {
+      return [];
+    }
+    // The paste ends the group it starts, so start the drag one over.
+    const group = Blockly.Events.getGroup();
+    const pasted = pastePayload(payload,
+        () => pasteOption.paste(workspace, position));
+    Blockly.Events.setGroup(group);
+    return pasted ? copied : [];
+  }
+
   /**
    * Reverts any drags done on the multiselectDraggable object.
    */
@@ -343,18 +467,45 @@ export class MultiselectDraggable {
    * Disposes all subdraggables in the multiselectDraggable object.
    */
   dispose() {
-    for (const draggable of this.subDraggables) {
-      if (!draggable[0].isDeletable()) {
-        continue;
+    this.disposeSubDraggables_([...this.subDraggables.keys()]
+        .filter((draggable) => draggable.isDeletable()));
+  }
+
+  /**
+   * Disposes some of the subdraggables, along with the blocks they carry,
+   * and removes them all from the selection.
+   * @param {!Array<Blockly.IDraggable>} draggables The subdraggables to
+   *     dispose.
+   * @private
+   */
+  disposeSubDraggables_(draggables) {
+    const disposed = new Set(draggables);
+    for (const draggable of draggables) {
+      if (draggable instanceof Blockly.BlockSvg) {
+        // The blocks below it are healed into the stack, not disposed.
+        const next = draggable.getNextBlock();
+        const kept = next ? next.getDescendants(false) : [];
+        draggable.getDescendants(false)
+            .filter((block) => !kept.includes(block))
+            .forEach((block) => disposed.add(block));
+      }
+    }
+    for (const draggable of disposed) {
+      if (this.subDraggables.has(draggable)) {
+        this.removeSubDraggable_(draggable);
+        this.dragSelection.delete(draggable.id);
       }
-      this.removeSubDraggable_(draggable[0]);
-      this.dragSelection.delete(draggable[0].id);
-      if (draggable[0] instanceof Blockly.BlockSvg) {
-        draggable[0].dispose(true, true);
+    }
+    for (const draggable of draggables) {
+      if (draggable instanceof Blockly.BlockSvg) {
+        if (!draggable.isDeadOrDying()) {
+          draggable.dispose(true, true);
+        }
       } else {
-        draggable[0].dispose();
+        draggable.dispose();
       }
     }
+    fireSelectionChange(this.workspace);
   }
 
   /**
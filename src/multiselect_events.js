@@ -0,0 +1,133 @@
+/**
+ * @license
+ * Copyright 2026 MIT
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Multiple selection events.
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  dragSelectionWeakMap, getByID, isSelectable,
+  addToSelection, clearSelection, updateSelected,
+} from './global';
+
+/**
+ * Type of the event fired when the multiple selection changes.
+ */
+export const MULTISELECT_CHANGE = 'multiselect_change';
+
+/**
+ * Store the last selection reported by a multiselect change event
+ * for a given workspace (as a key).
+ */
+const reportedSelectionWeakMap = new WeakMap();
+
+/**
+ * Class for an event fired when the set of multiple selected blocks and
+ * workspace comments changes in a workspace.
+ */
+export class MultiselectChange extends Blockly.Events.UiBase {
+  /**
+   * @param {Array<string>=} oldSelection The ids of the elements selected
+   *     before the change. Undefined for a blank event.
+   * @param {Array<string>=} newSelection The ids of the elements selected
+   *     after the change. Undefined for a blank event.
+   * @param {string=} workspaceId The id of the workspace the selection
+   *     belongs to. Undefined for a blank event.
+   */
+  constructor(oldSelection, newSelection, workspaceId) {
+    super(workspaceId);
+    this.type = MULTISELECT_CHANGE;
+    this.oldSelection = oldSelection ? [...oldSelection] : [];
+    this.newSelection = newSelection ? [...newSelection] : [];
+  }
+
+  /**
+   * Encode the event as JSON.
+   * @returns {!Object} JSON representation.
+   */
+  toJson() {
+    const json = super.toJson();
+    json['oldSelection'] = [...this.oldSelection];
+    json['newSelection'] = [...this.newSelection];
+    return json;
+  }
+
+  /**
+   * Deserialize the JSON event.
+   * @param {!Object} json The JSON representation of the event.
+   * @param {!Blockly.Workspace} workspace The workspace to deserialize into.
+   * @param {MultiselectChange=} event The event to append new properties to.
+   * @returns {!MultiselectChange} The deserialized event.
+   */
+  static fromJson(json, workspace, event) {
+    const newEvent = super.fromJson(
+        json, workspace, event ?? new MultiselectChange());
+    newEvent.oldSelection = [...(json['oldSelection'] || [])];
+    newEvent.newSelection = [...(json['newSelection'] || [])];
+    return newEvent;
+  }
+
+  /**
+   * Whether the event leaves the selection as it was.
+   * @returns {boolean} true if the old and new selections are the same.
+   */
+  isNull() {
+    return this.oldSelection.length === this.newSelection.length &&
+        this.oldSelection.every((id) => this.newSelection.includes(id));
+  }
+
+  /**
+   * Restore the selection of the workspace on undo or redo. Elements that
+   * no longer exist are left out.
+   * @param {boolean} forward True if run forward, false if run backward
+   *     (undo).
+   */
+  run(forward) {
+    const workspace = this.getEventWorkspace_();
+    if (!dragSelectionWeakMap.get(workspace)) {
+      return;
+    }
+    clearSelection(workspace);
+    (forward ? this.newSelection : this.oldSelection).forEach((id) => {
+      const element = getByID(workspace, id);
+      if (element && isSelectable(element)) {
+        addToSelection(element);
+      }
+    });
+    updateSelected(workspace);
+    fireSelectionChange(workspace);
+  }
+}
+
+Blockly.registry.register(
+    Blockly.registry.Type.EVENT, MULTISELECT_CHANGE, MultiselectChange);
+
+/**
+ * Fire a multiselect change event if the selection of the workspace differs
+ * from the one reported by the last event.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to check.
+ * @param {boolean=} recordUndo Whether the change should be recorded in the
+ *     undo stack, together with the event group it belongs to.
+ */
+export const fireSelectionChange = function(workspace, recordUndo = false) {
+  const dragSelection = dragSelectionWeakMap.get(workspace);
+  if (!dragSelection) {
+    return;
+  }
+  const oldSelection = reportedSelectionWeakMap.get(workspace) || [];
+  const newSelection = [...dragSelection];
+  if (oldSelection.length === newSelection.length &&
+      oldSelection.every((id) => dragSelection.has(id))) {
+    return;
+  }
+  reportedSelectionWeakMap.set(workspace, newSelection);
+  const event = new MultiselectChange(oldSelection, newSelection, workspace.id);
+  if (recordUndo) {
+    event.recordUndo = Blockly.Events.getRecordUndo();
+  }
+  Blockly.Events.fire(event);
+};
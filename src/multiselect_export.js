@@ -0,0 +1,300 @@
+/**
+ * @license
+ * Copyright 2026 MIT
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Export and import of the multiple selection as a file.
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  isCopyable, getSelectionCopyData, getPasteOffset, createClipboardPayload,
+  parseClipboardPayload, loadClipboardPayload, dragSelectionWeakMap,
+  multiDraggableWeakMap,
+} from './global';
+
+/**
+ * Base name of the downloaded files of the exported selection.
+ */
+const EXPORT_FILE_NAME = 'blocks';
+
+/**
+ * Download the blob as a file.
+ * @param {!Blob} blob The content of the file.
+ * @param {string} fileName The name of the file.
+ */
+const downloadBlob = function(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking the URL right away cancels the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url));
+};
+
+/**
+ * Check whether the selection of the workspace has elements to export.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to check.
+ * @returns {boolean} true if the selection can be exported.
+ */
+export const canExportSelection = function(workspace) {
+  return getSelectionCopyData(workspace, isCopyable).elements.length > 0;
+};
+
+/**
+ * Create the file content of the selection of the workspace: the same
+ * payload as the clipboard one, with the elements moved so that the top
+ * left corner of their bounding box is at the origin, keeping their layout.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to export from.
+ * @returns {string} The JSON content of the file.
+ */
+export const serializeSelection = function(workspace) {
+  const copy = getSelectionCopyData(workspace, isCopyable);
+  const offset = getPasteOffset(copy.elements,
+      new Blockly.utils.Coordinate(0, 0));
+  if (offset) {
+    copy.elements.forEach((data) => {
+      const state = data.blockState || data.commentState;
+      if (typeof state.x === 'number' && typeof state.y === 'number') {
+        state.x += offset.x;
+        state.y += offset.y;
+      }
+    });
+  }
+  return JSON.stringify(createClipboardPayload(copy), null, 2);
+};
+
+/**
+ * Download the selection of the workspace as a JSON file.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to export from.
+ */
+export const exportSelection = function(workspace) {
+  downloadBlob(new Blob([serializeSelection(workspace)],
+      {type: 'application/json'}), `${EXPORT_FILE_NAME}.json`);
+};
+
+/**
+ * Let the user pick an exported file and read its payload. Nothing is
+ * called if no file is picked, as browsers do not all tell when the file
+ * picker is cancelled.
+ * @param {function(!Object)} onRead Called with the validated payload.
+ * @param {function(!Error)} onError Called if the file cannot be read, or
+ *     is not an exported selection that can be imported in this app.
+ */
+export const readSelectionFile = function(onRead, onError) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    if (!file) {
+      return;
+    }
+    file.text().then((text) => {
+      let payload = null;
+      try {
+        payload = JSON.parse(text);
+      } catch (e) {
+        // Not JSON, rejected below.
+      }
+      // Plain JSON arrays are not the legacy format here either.
+      payload = payload && !Array.isArray(payload) ?
+          parseClipboardPayload(payload) : null;
+      if (!payload) {
+        onError(new Error(`${file.name} is not a file of exported blocks ` +
+            'that can be imported here.'));
+        return;
+      }
+      onRead(payload);
+    }, onError);
+  });
+  input.click();
+};
+
+/**
+ * Paste the elements of a payload, keeping the copied elements in the
+ * clipboard as they were.
+ * @param {!Object} payload The payload to paste the elements of.
+ * @param {function(): boolean} paste Paste the copied elements.
+ * @returns {boolean} true if the elements got pasted.
+ */
+export const pastePayload = function(payload, paste) {
+  const clipboard = createClipboardPayload();
+  loadClipboardPayload(payload);
+  try {
+    return paste();
+  } finally {
+    loadClipboardPayload(clipboard);
+  }
+};
+
+/**
+ * Object holding the image formats the selection can be exported as.
+ */
+export const ImageFormat = Object.freeze({
+  SVG: 'svg',
+  PNG: 'png',
+});
+
+/**
+ * Get the selected elements of the workspace to render, the ones without a
+ * selected parent block (which render their children along), with the
+ * bounds cropping them.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to look in.
+ * @returns {?Object} The elements, and their bounds in workspace units, or
+ *     null if nothing is selected.
+ */
+const getImageElements = function(workspace) {
+  const selected = Blockly.common.getSelected();
+  const multiDraggable = multiDraggableWeakMap.get(workspace);
+  if (dragSelectionWeakMap.get(workspace).size &&
+      selected === multiDraggable) {
+    return {
+      elements: multiDraggable.getTopSubDraggables(),
+      bounds: multiDraggable.getBoundingRectangle(),
+    };
+  } else if ((selected instanceof Blockly.BlockSvg ||
+      selected instanceof Blockly.comments.RenderedWorkspaceComment) &&
+      selected.workspace === workspace) {
+    return {elements: [selected], bounds: selected.getBoundingRectangle()};
+  }
+  return null;
+};
+
+/**
+ * Get the CSS injected by Blockly and its renderer, to inline it in the
+ * standalone image.
+ * @returns {string} The CSS text.
+ */
+const getBlocklyCss = function() {
+  return [...document.head.querySelectorAll('style[id^="blockly-"]')]
+      .map((style) => style.textContent).join('\n');
+};
+
+/**
+ * Create a standalone SVG element rendering the selected blocks and
+ * workspace comments, cropped to their bounds, without the selection
+ * highlight.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to render.
+ * @returns {?SVGSVGElement} The SVG element, or null if nothing is selected.
+ */
+const createSelectionSvg = function(workspace) {
+  const image = getImageElements(workspace);
+  if (!image) {
+    return null;
+  }
+  const {elements, bounds} = image;
+  const width = bounds.getWidth();
+  const height = bounds.getHeight();
+  const svg = Blockly.utils.dom.createSvgElement(Blockly.utils.Svg.SVG, {
+    'class': `${workspace.getRenderer().getClassName()} ` +
+        workspace.getTheme().getClassName(),
+    'width': width,
+    'height': height,
+    'viewBox': `${bounds.left} ${bounds.top} ${width} ${height}`,
+  });
+  // The definitions hold the patterns and filters the blocks refer to.
+  const defs = workspace.getParentSvg().querySelector('defs');
+  if (defs) {
+    svg.appendChild(defs.cloneNode(true));
+  }
+  const style = Blockly.utils.dom.createSvgElement('style', {}, svg);
+  style.textContent = getBlocklyCss();
+
+  // Some renderers highlight the selected blocks with a glowing copy of
+  // their path instead of a class.
+  const glowFilterId =
+      workspace.getRenderer().getConstants().selectedGlowFilterId;
+  elements.forEach((element) => {
+    const root = element.getSvgRoot().cloneNode(true);
+    // Blocks nested in a block which is not rendered are positioned
+    // relative to it, so position all of them in workspace units.
+    const xy = element.getRelativeToSurfaceXY();
+    root.setAttribute('transform', `translate(${xy.x},${xy.y})`);
+    for (const node of [root, ...root.querySelectorAll('.blocklySelected')]) {
+      Blockly.utils.dom.removeClass(node, 'blocklySelected');
+    }
+    if (glowFilterId) {
+      root.querySelectorAll(`[filter="url(#${glowFilterId})"]`)
+          .forEach((node) => node.remove());
+    }
+    // Serializing keeps the attributes only, not the text of the comments.
+    const textareas = element.getSvgRoot().querySelectorAll('textarea');
+    root.querySelectorAll('textarea').forEach((textarea, i) => {
+      textarea.textContent = textareas[i].value;
+    });
+    svg.appendChild(root);
+  });
+  return svg;
+};
+
+/**
+ * Render the selected blocks and workspace comments to a standalone SVG
+ * image, with the CSS inlined, cropped to their bounding rectangle.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to render.
+ * @returns {?string} The SVG markup, or null if nothing is selected.
+ */
+export const getSelectionSvg = function(workspace) {
+  const svg = createSelectionSvg(workspace);
+  return svg ? new XMLSerializer().serializeToString(svg) : null;
+};
+
+/**
+ * Render the selected blocks and workspace comments to a PNG image,
+ * cropped to their bounding rectangle.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to render.
+ * @param {number=} scale The number of pixels per workspace unit, 2 by
+ *     default to keep the image sharp when printed or projected.
+ * @returns {!Promise<?Blob>} Resolves to the PNG image, or null if nothing
+ *     is selected. Rejects if the image cannot be rendered.
+ */
+export const getSelectionPng = function(workspace, scale = 2) {
+  const svg = createSelectionSvg(workspace);
+  if (!svg) {
+    return Promise.resolve(null);
+  }
+  const width = Number(svg.getAttribute('width'));
+  const height = Number(svg.getAttribute('height'));
+  const text = new XMLSerializer().serializeToString(svg);
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(width * scale);
+      canvas.height = Math.ceil(height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0,
+          canvas.width, canvas.height);
+      canvas.toBlob((blob) => blob ? resolve(blob) :
+          reject(new Error('The PNG image could not be created.')),
+      'image/png');
+    };
+    img.onerror = () => reject(
+        new Error('The SVG image could not be rendered.'));
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(text);
+  });
+};
+
+/**
+ * Download the selected blocks and workspace comments as an image file.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to render.
+ * @param {string} format One of the ImageFormat values.
+ * @returns {!Promise<void>} Resolves once downloaded, rejects if the image
+ *     cannot be rendered.
+ */
+export const exportSelectionAsImage = async function(workspace, format) {
+  let blob = null;
+  if (format === ImageFormat.SVG) {
+    const text = getSelectionSvg(workspace);
+    blob = text && new Blob([text], {type: 'image/svg+xml'});
+  } else if (format === ImageFormat.PNG) {
+    blob = await getSelectionPng(workspace);
+  } else {
+    throw new Error(`Unknown image format: ${format}`);
+  }
+  if (blob) {
+    downloadBlob(blob, `${EXPORT_FILE_NAME}.${format}`);
+  }
+};
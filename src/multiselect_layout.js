@@ -0,0 +1,183 @@
+/**
+ * @license
+ * Copyright 2026 MIT
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Layout of the multiple selected blocks and comments.
+ */
+
+import * as Blockly from 'blockly/core';
+import {dragSelectionWeakMap, multiDraggableWeakMap} from './global';
+
+/**
+ * Object holding the ways the selected elements can be aligned.
+ */
+export const Alignment = Object.freeze({
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  TOP: 'top',
+  MIDDLE: 'middle',
+  BOTTOM: 'bottom',
+});
+
+/**
+ * Object holding the directions the selected elements can be distributed in.
+ */
+export const Distribution = Object.freeze({
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical',
+});
+
+/**
+ * Get the selected elements of the workspace that can be laid out on their
+ * own: the movable top blocks (the ones not connected to a parent block,
+ * which carry their children along) and workspace comments.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to look in.
+ * @returns {!Array<!Blockly.IDraggable>} The top elements of the selection.
+ */
+export const getTopElements = function(workspace) {
+  let elements = [];
+  const selected = Blockly.common.getSelected();
+  if (dragSelectionWeakMap.get(workspace).size) {
+    elements = multiDraggableWeakMap.get(workspace).getTopSubDraggables();
+  } else if (selected && selected.workspace === workspace) {
+    elements = [selected];
+  }
+  return elements.filter((element) => element.isMovable() &&
+      (element instanceof Blockly.BlockSvg && !element.getParent() ||
+      element instanceof Blockly.comments.RenderedWorkspaceComment));
+};
+
+/**
+ * Move the elements by the given offsets within one event group.
+ * @param {!Array<!Array>} moves The elements with the offsets to move them
+ *     by, as [element, dx, dy] arrays.
+ * @param {string} reason The reason of the move for the move events.
+ */
+const moveElements = function(moves, reason) {
+  const inGroup = !!Blockly.Events.getGroup();
+  if (!inGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  moves.forEach(([element, dx, dy]) => {
+    if (dx || dy) {
+      element.moveBy(dx, dy, [reason]);
+    }
+  });
+  if (!inGroup) {
+    Blockly.Events.setGroup(false);
+  }
+};
+
+/**
+ * Align the top elements of the selection to the edge or the centre of
+ * their bounding box.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to lay out.
+ * @param {string} alignment One of the Alignment values.
+ */
+export const alignElements = function(workspace, alignment) {
+  const elements = getTopElements(workspace);
+  if (elements.length < 2) {
+    return;
+  }
+  const bounds = elements.map((element) => element.getBoundingRectangle());
+  const top = Math.min(...bounds.map((rect) => rect.top));
+  const bottom = Math.max(...bounds.map((rect) => rect.bottom));
+  const left = Math.min(...bounds.map((rect) => rect.left));
+  const right = Math.max(...bounds.map((rect) => rect.right));
+
+  moveElements(elements.map((element, i) => {
+    const rect = bounds[i];
+    switch (alignment) {
+      case Alignment.LEFT:
+        return [element, left - rect.left, 0];
+      case Alignment.CENTER:
+        return [element, (left + right - rect.left - rect.right) / 2, 0];
+      case Alignment.RIGHT:
+        return [element, right - rect.right, 0];
+      case Alignment.TOP:
+        return [element, 0, top - rect.top];
+      case Alignment.MIDDLE:
+        return [element, 0, (top + bottom - rect.top - rect.bottom) / 2];
+      case Alignment.BOTTOM:
+        return [element, 0, bottom - rect.bottom];
+      default:
+        throw new Error(`Unknown alignment: ${alignment}`);
+    }
+  }), 'align');
+};
+
+/**
+ * Spread the top elements of the selection with equal gaps between them,
+ * keeping the first and the last ones in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to lay out.
+ * @param {string} distribution One of the Distribution values.
+ */
+export const distributeElements = function(workspace, distribution) {
+  let start;
+  let end;
+  if (distribution === Distribution.HORIZONTAL) {
+    [start, end] = ['left', 'right'];
+  } else if (distribution === Distribution.VERTICAL) {
+    [start, end] = ['top', 'bottom'];
+  } else {
+    throw new Error(`Unknown distribution: ${distribution}`);
+  }
+  const elements = getTopElements(workspace);
+  if (elements.length < 3) {
+    return;
+  }
+  const items = elements
+      .map((element) => [element, element.getBoundingRectangle()])
+      .sort((a, b) => a[1][start] - b[1][start]);
+  const first = items[0][1][start];
+  const last = Math.max(...items.map(([, rect]) => rect[end]));
+  const size = items.reduce(
+      (total, [, rect]) => total + rect[end] - rect[start], 0);
+  const gap = (last - first - size) / (items.length - 1);
+
+  let position = first;
+  moveElements(items.map(([element, rect]) => {
+    const delta = position - rect[start];
+    position += rect[end] - rect[start] + gap;
+    return distribution === Distribution.HORIZONTAL ?
+        [element, delta, 0] : [element, 0, delta];
+  }), 'distribute');
+};
+
+/**
+ * Arrange the top elements of the selection in a column anchored at the top
+ * left corner of their bounding box, like workspace.cleanUp() does for all
+ * the top blocks of the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to lay out.
+ */
+export const cleanUpElements = function(workspace) {
+  const elements = getTopElements(workspace);
+  if (!elements.length) {
+    return;
+  }
+  const items = elements
+      .map((element) => [element, element.getBoundingRectangle()])
+      .sort((a, b) => a[1].top - b[1].top || a[1].left - b[1].left);
+  const left = Math.min(...items.map(([, rect]) => rect.left));
+  let cursorY = items[0][1].top;
+  const gap = workspace.getRenderer().getConstants().MIN_BLOCK_HEIGHT;
+
+  const inGroup = !!Blockly.Events.getGroup();
+  if (!inGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  workspace.setResizesEnabled(false);
+  items.forEach(([element, rect]) => {
+    element.moveBy(left - rect.left, cursorY - rect.top, ['cleanup']);
+    element.snapToGrid();
+    cursorY = element.getBoundingRectangle().bottom + gap;
+  });
+  workspace.setResizesEnabled(true);
+  if (!inGroup) {
+    Blockly.Events.setGroup(false);
+  }
+};
@@ -13,7 +13,16 @@ import {
   dragSelectionWeakMap, hasSelectedParent, copyData, connectionDBList,
   dataCopyToStorage, dataCopyFromStorage, registeredShortcut,
   multiDraggableWeakMap, inPasteShortcut, getByID, shortcutNames,
+  clearSelection, updateSelected, getSelectableElements, invertSelection,
+  isSelectable, addCopyDataToHistory, getClipboardHistory, preparePaste,
+  getPasteConnection, isCopyable, getSelectionCopyData, loadClipboardPayload,
 } from './global';
+import {fireSelectionChange} from './multiselect_events';
+import {getTopElements} from './multiselect_layout';
+import {
+  writeToSystemClipboard, readFromSystemClipboard,
+  getClipboardHistoryMenuOptions, canCopyAsCode, writeCodeToSystemClipboard,
+} from './multiselect_clipboard';
 import {MultiselectDraggable} from './multiselect_draggable';
 
 /**
@@ -98,6 +107,7 @@ const registerShortcutDelete = function() {
       }
 
       Blockly.common.setSelected(null);
+      fireSelectionChange(workspace);
       Blockly.Events.setGroup(false);
       return true;
     },
@@ -117,8 +127,10 @@ const registerShortcutDelete = function() {
  * Keyboard shortcut to copy multiple selected blocks on
  * ctrl+c, cmd+c, or alt+c.
  * @param {boolean} useCopyPasteCrossTab Whether or not to use copy/paste
+ * @param {boolean} useSystemClipboard Whether or not to use the system
+ *     clipboard.
  */
-const registerCopy = function(useCopyPasteCrossTab) {
+const registerCopy = function(useCopyPasteCrossTab, useSystemClipboard) {
   const name = shortcutNames.MULTICOPY;
   const copyShortcut = {
     name,
@@ -139,58 +151,21 @@ const registerCopy = function(useCopyPasteCrossTab) {
       }
       return false;
     },
-    check: function(element) {
-      if (element instanceof Blockly.BlockSvg) {
-        return element && element.isDeletable() && element.isMovable() &&
-            !hasSelectedParent(element);
-      } else if (element instanceof
-          Blockly.comments.RenderedWorkspaceComment) {
-        return element && element.isDeletable() && element.isMovable();
-      }
-      return false;
-    },
+    check: isCopyable,
     callback: function(workspace, e) {
       // Prevent the default copy behavior, which may beep or
       // otherwise indicate an error due to the lack of a selection.
       e.preventDefault();
-      copyData.clear();
       workspace.hideChaff();
-      const blockList = [];
-      const apply = function(element) {
-        if (copyShortcut.check(element)) {
-          copyData.add(JSON.stringify(element.toCopyData()));
-          if (element instanceof Blockly.BlockSvg) {
-            blockList.push(element.id);
-          }
-        }
-      };
-      const selected = Blockly.common.getSelected();
-      const dragSelection = dragSelectionWeakMap.get(workspace);
       Blockly.Events.setGroup(true);
-
-      // Handle the case where MultiselectDraggable is in use
-      if (selected && selected instanceof MultiselectDraggable) {
-        for (const element of selected.subDraggables) {
-          apply(element[0]);
-        }
-      } else if (!dragSelection.size) {
-        apply(selected);
-      }
-
-      connectionDBList.length = 0;
-      blockList.forEach(function(id) {
-        const block = workspace.getBlockById(id);
-        const parentBlock = block.getParent();
-        if (parentBlock && blockList.indexOf(parentBlock.id) !== -1 &&
-            parentBlock.getNextBlock() === block) {
-          connectionDBList.push([
-            blockList.indexOf(parentBlock.id),
-            blockList.indexOf(block.id)]);
-        }
-      });
+      loadClipboardPayload(getSelectionCopyData(workspace, copyShortcut.check));
+      addCopyDataToHistory(useCopyPasteCrossTab);
       if (useCopyPasteCrossTab) {
         dataCopyToStorage();
       }
+      if (useSystemClipboard) {
+        writeToSystemClipboard();
+      }
       Blockly.Events.setGroup(false);
       return true;
     },
@@ -221,8 +196,10 @@ const registerCopy = function(useCopyPasteCrossTab) {
  * Keyboard shortcut to copy and delete multiple selected blocks on
  * ctrl+x, cmd+x, or alt+x.
  * @param {boolean} useCopyPasteCrossTab Whether or not to use copy/paste
+ * @param {boolean} useSystemClipboard Whether or not to use the system
+ *     clipboard.
  */
-const registerCut = function(useCopyPasteCrossTab) {
+const registerCut = function(useCopyPasteCrossTab, useSystemClipboard) {
   const name = shortcutNames.MULTICUT;
   const cutShortcut = {
     name,
@@ -293,6 +270,7 @@ const registerCut = function(useCopyPasteCrossTab) {
         apply(selected);
       }
       dragSelection.clear();
+      fireSelectionChange(workspace, true);
 
       connectionDBList.length = 0;
       elementList.forEach(function(id) {
@@ -312,9 +290,13 @@ const registerCut = function(useCopyPasteCrossTab) {
         applyDelete(element);
       });
 
+      addCopyDataToHistory(useCopyPasteCrossTab);
       if (useCopyPasteCrossTab) {
         dataCopyToStorage();
       }
+      if (useSystemClipboard) {
+        writeToSystemClipboard();
+      }
       Blockly.Events.setGroup(false);
       return true;
     },
@@ -346,8 +328,10 @@ const registerCut = function(useCopyPasteCrossTab) {
  * Keyboard shortcut to paste multiple selected blocks on
  * ctrl+v, cmd+v, or alt+v.
  * @param {boolean} useCopyPasteCrossTab Whether or not to use copy/paste
+ * @param {boolean} useSystemClipboard Whether or not to use the system
+ *     clipboard.
  */
-const registerPaste = function(useCopyPasteCrossTab) {
+const registerPaste = function(useCopyPasteCrossTab, useSystemClipboard) {
   const name = shortcutNames.MULTIPASTE;
   const pasteShortcut = {
     name,
@@ -355,9 +339,39 @@ const registerPaste = function(useCopyPasteCrossTab) {
       return !workspace.options.readOnly && !Blockly.Gesture.inProgress();
     },
     callback: function(workspace) {
+      if (!useSystemClipboard) {
+        if (useCopyPasteCrossTab) {
+          dataCopyFromStorage();
+        }
+        pasteShortcut.paste(workspace);
+        return true;
+      }
+      // Fall back to the cross tab clipboard storage if the system
+      // clipboard holds no blocks or cannot be read.
+      readFromSystemClipboard().then((loaded) => {
+        if (!loaded && useCopyPasteCrossTab) {
+          dataCopyFromStorage();
+        }
+        pasteShortcut.paste(workspace);
+      });
+      return true;
+    },
+    paste: function(workspace, position) {
+      const dataList = [...copyData].map((stringData) =>
+        JSON.parse(stringData));
+      const pasteWorkspace = workspace.isFlyout ?
+          workspace.targetWorkspace : workspace;
+      Blockly.Events.setGroup(true);
+      // Move the elements as a group to the pointer or the viewport centre.
+      const getPasteBlock = preparePaste(dataList, pasteWorkspace, position);
+      if (!getPasteBlock) {
+        Blockly.Events.setGroup(false);
+        return false;
+      }
       inPasteShortcut.set(workspace, true);
       const dragSelection = dragSelectionWeakMap.get(workspace);
       const multiDraggable = multiDraggableWeakMap.get(workspace);
+      const pasteConnection = getPasteConnection(workspace);
 
       // Update the dragSelection and multiDraggable object
       // to remove current selection prior to pasting.
@@ -372,27 +386,8 @@ const registerPaste = function(useCopyPasteCrossTab) {
         multiDraggable.clearAll_();
       }
 
-      Blockly.Events.setGroup(true);
-
       const blockList = [];
-      if (useCopyPasteCrossTab) {
-        dataCopyFromStorage();
-      }
-      const getPasteBlock = function(data, workspace) {
-        const state = data.blockState || data.commentState;
-        const {left, top, width, height} =
-            workspace.getMetricsManager().getViewMetrics(true);
-        const centerCoords = new Blockly.utils.Coordinate(
-            left + width / 2, top + height / 2);
-        const viewportRect = new Blockly.utils.Rect(
-            top, top + height, left, left + width);
-        if (viewportRect.contains(state.x, state.y)) {
-          return Blockly.clipboard.paste(data, workspace);
-        }
-        return Blockly.clipboard.paste(data, workspace, centerCoords);
-      };
-      copyData.forEach(function(stringData) {
-        const data = JSON.parse(stringData);
+      dataList.forEach(function(data) {
         // Set unique id for data to prevent bug where
         // blocks on multiple workspaces are highlighted.
         if (workspace.id !== Blockly.getMainWorkspace().id) {
@@ -412,32 +407,47 @@ const registerPaste = function(useCopyPasteCrossTab) {
         if (data.typeCounts &&
             workspace.isCapacityAvailable(data.typeCounts)) {
           const element = getPasteBlock(data, workspace);
-          if (element) {
-            blockList.push(element);
-          }
-          if (element.type !== 'drag_to_dupe') {
+          blockList.push(element);
+          if (isSelectable(element)) {
             dragSelectionWeakMap.get(workspace).add(element.id);
             multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
           }
         } else if (data.commentState) {
           const element = getPasteBlock(data, workspace);
-          if (element) {
+          blockList.push(element);
+          if (isSelectable(element)) {
             element.select();
+            dragSelectionWeakMap.get(workspace).add(element.id);
+            multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
           }
-          dragSelectionWeakMap.get(workspace).add(element.id);
-          multiDraggableWeakMap.get(workspace).addSubDraggable_(element);
+        } else {
+          // Keep the indices of the connections in line with the elements.
+          blockList.push(null);
         }
       });
       connectionDBList.forEach(function(connectionDB) {
-        blockList[connectionDB[0]].nextConnection.connect(
-            blockList[connectionDB[1]].previousConnection);
+        const parentBlock = blockList[connectionDB[0]];
+        const block = blockList[connectionDB[1]];
+        if (parentBlock && block && parentBlock.nextConnection &&
+            block.previousConnection) {
+          parentBlock.nextConnection.connect(block.previousConnection);
+        }
       });
 
-      if (dragSelection.size === 1) {
-        Blockly.common.setSelected(getByID(workspace, dragSelection.values().next().value));
-      } else {
-        Blockly.common.setSelected(multiDraggable);
+      // Attach a single pasted statement chain to the selected block.
+      const chainHeads = blockList.every((element) =>
+        element instanceof Blockly.BlockSvg) ?
+          blockList.filter((block) => !block.getParent()) : [];
+      const head = chainHeads[0];
+      if (pasteConnection && chainHeads.length === 1 &&
+          head.workspace === pasteConnection.getSourceBlock().workspace &&
+          head.workspace.connectionChecker.canConnect(
+              pasteConnection, head.previousConnection, false)) {
+        pasteConnection.connect(head.previousConnection);
       }
+
+      updateSelected(workspace);
+      fireSelectionChange(workspace, true);
       Blockly.Events.setGroup(false);
       return true;
     },
@@ -514,13 +524,14 @@ const registerSelectAll = function() {
         }
       });
       blockList.forEach(function(block) {
-        if (block.type !== 'drag_to_dupe') {
+        if (isSelectable(block)) {
           multiDraggable.addSubDraggable_(block);
           dragSelection.add(block.id);
         }
       });
 
-      Blockly.common.setSelected(multiDraggable);
+      updateSelected(workspace);
+      fireSelectionChange(workspace);
       return true;
     },
   };
@@ -546,6 +557,249 @@ const registerSelectAll = function() {
       metaA, selectAllShortcut.name);
 };
 
+/**
+ * Keyboard shortcut to deselect all the elements in the workspace, on
+ * ctrl+shift+a, cmd+shift+a, or alt+shift+a if the default keys are used.
+ * @param {boolean} useSelectionKeys Whether to map the default keys.
+ */
+const registerDeselectAll = function(useSelectionKeys) {
+  const name = 'deselectall';
+  const deselectAllShortcut = {
+    name,
+    preconditionFn: function(workspace) {
+      const selected = Blockly.getSelected();
+      return dragSelectionWeakMap.get(workspace).size > 0 ||
+          !!selected && selected.workspace === workspace;
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      clearSelection(workspace);
+      updateSelected(workspace);
+      fireSelectionChange(workspace);
+      return true;
+    },
+  };
+  if (name in Blockly.ShortcutRegistry.registry.getRegistry()) {
+    Blockly.ShortcutRegistry.registry.unregister(name);
+  }
+  Blockly.ShortcutRegistry.registry.register(deselectAllShortcut);
+  if (!useSelectionKeys) {
+    return;
+  }
+
+  for (const modifier of [Blockly.utils.KeyCodes.CTRL,
+    Blockly.utils.KeyCodes.ALT, Blockly.utils.KeyCodes.META]) {
+    const key = Blockly.ShortcutRegistry.registry.createSerializedKey(
+        Blockly.utils.KeyCodes.A, [modifier, Blockly.utils.KeyCodes.SHIFT]);
+    Blockly.ShortcutRegistry.registry.addKeyMapping(
+        key, deselectAllShortcut.name);
+  }
+};
+
+/**
+ * Keyboard shortcut to invert the selection in the workspace, on ctrl+i,
+ * cmd+i, or alt+i if the default keys are used.
+ * @param {boolean} useSelectionKeys Whether to map the default keys.
+ */
+const registerInvertSelection = function(useSelectionKeys) {
+  const name = 'invertselection';
+  const invertSelectionShortcut = {
+    name,
+    preconditionFn: function(workspace) {
+      return getSelectableElements(workspace).length > 0;
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      invertSelection(workspace);
+      fireSelectionChange(workspace);
+      return true;
+    },
+  };
+  if (name in Blockly.ShortcutRegistry.registry.getRegistry()) {
+    Blockly.ShortcutRegistry.registry.unregister(name);
+  }
+  Blockly.ShortcutRegistry.registry.register(invertSelectionShortcut);
+  if (!useSelectionKeys) {
+    return;
+  }
+
+  for (const modifier of [Blockly.utils.KeyCodes.CTRL,
+    Blockly.utils.KeyCodes.ALT, Blockly.utils.KeyCodes.META]) {
+    const key = Blockly.ShortcutRegistry.registry.createSerializedKey(
+        Blockly.utils.KeyCodes.I, [modifier]);
+    Blockly.ShortcutRegistry.registry.addKeyMapping(
+        key, invertSelectionShortcut.name);
+  }
+};
+
+/**
+ * Keyboard shortcut to pick one of the earlier copies to paste on
+ * ctrl+shift+v, cmd+shift+v, or alt+shift+v.
+ * @param {boolean} useCopyPasteCrossTab Whether or not to use the history
+ *     shared across tabs.
+ */
+const registerPasteFromHistory = function(useCopyPasteCrossTab) {
+  const name = 'pastefromhistory';
+  const pasteFromHistoryShortcut = {
+    name,
+    preconditionFn: function(workspace) {
+      return !workspace.options.readOnly && !Blockly.Gesture.inProgress() &&
+          shortcutNames.MULTIPASTE in
+              Blockly.ShortcutRegistry.registry.getRegistry() &&
+          getClipboardHistory(useCopyPasteCrossTab).length > 0;
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      const pasteShortcut = Blockly.ShortcutRegistry.registry
+          .getRegistry()[shortcutNames.MULTIPASTE];
+      // Open the menu in the middle of the workspace, as there is no
+      // pointer position for a keyboard shortcut.
+      const rect = workspace.getInjectionDiv().getBoundingClientRect();
+      const menuOpenEvent = new PointerEvent('pointerdown', {
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2,
+      });
+      Blockly.ContextMenu.show(menuOpenEvent, getClipboardHistoryMenuOptions(
+          useCopyPasteCrossTab, () => pasteShortcut.paste(workspace)),
+      workspace.RTL, workspace);
+      return true;
+    },
+  };
+  if (name in Blockly.ShortcutRegistry.registry.getRegistry()) {
+    Blockly.ShortcutRegistry.registry.unregister(name);
+  }
+  Blockly.ShortcutRegistry.registry.register(pasteFromHistoryShortcut);
+
+  for (const modifier of [Blockly.utils.KeyCodes.CTRL,
+    Blockly.utils.KeyCodes.ALT, Blockly.utils.KeyCodes.META]) {
+    const key = Blockly.ShortcutRegistry.registry.createSerializedKey(
+        Blockly.utils.KeyCodes.V, [modifier, Blockly.utils.KeyCodes.SHIFT]);
+    Blockly.ShortcutRegistry.registry.addKeyMapping(
+        key, pasteFromHistoryShortcut.name);
+  }
+};
+
+/**
+ * Keyboard shortcut to copy the selected stacks as generated code on
+ * ctrl+shift+c, cmd+shift+c, or alt+shift+c if the default keys are used.
+ * @param {boolean} useCopyAsCodeKeys Whether to map the default keys.
+ */
+const registerCopyAsCode = function(useCopyAsCodeKeys) {
+  const name = 'copyascode';
+  const copyAsCodeShortcut = {
+    name,
+    preconditionFn: function(workspace) {
+      return !Blockly.Gesture.inProgress() && canCopyAsCode(workspace);
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      writeCodeToSystemClipboard(workspace);
+      return true;
+    },
+  };
+  if (name in Blockly.ShortcutRegistry.registry.getRegistry()) {
+    Blockly.ShortcutRegistry.registry.unregister(name);
+  }
+  Blockly.ShortcutRegistry.registry.register(copyAsCodeShortcut);
+  if (!useCopyAsCodeKeys) {
+    return;
+  }
+
+  for (const modifier of [Blockly.utils.KeyCodes.CTRL,
+    Blockly.utils.KeyCodes.ALT, Blockly.utils.KeyCodes.META]) {
+    const key = Blockly.ShortcutRegistry.registry.createSerializedKey(
+        Blockly.utils.KeyCodes.C, [modifier, Blockly.utils.KeyCodes.SHIFT]);
+    Blockly.ShortcutRegistry.registry.addKeyMapping(
+        key, copyAsCodeShortcut.name);
+  }
+};
+
+/**
+ * Distance of a nudge in workspace units when the workspace has no grid.
+ */
+const NUDGE_STEP = 10;
+
+/**
+ * Number of steps moved by a nudge with the Shift key held.
+ */
+const LARGE_NUDGE_STEPS = 5;
+
+/**
+ * Event group of the ongoing key-repeat burst of nudges.
+ */
+let nudgeGroup = '';
+
+/**
+ * Keyboard shortcut to move the selected top blocks and workspace comments
+ * by a grid step on arrow keys, or by a larger step on shift+arrow keys, if
+ * the default keys are used.
+ * @param {boolean} useNudgeKeys Whether to map the default keys.
+ */
+const registerNudge = function(useNudgeKeys) {
+  const name = 'nudgeselection';
+  const directions = {
+    [Blockly.utils.KeyCodes.LEFT]: [-1, 0],
+    [Blockly.utils.KeyCodes.RIGHT]: [1, 0],
+    [Blockly.utils.KeyCodes.UP]: [0, -1],
+    [Blockly.utils.KeyCodes.DOWN]: [0, 1],
+  };
+  const nudgeShortcut = {
+    name,
+    preconditionFn: function(workspace) {
+      // Leave the arrow keys to the open field editors.
+      return !workspace.options.readOnly && !Blockly.Gesture.inProgress() &&
+          !workspace.keyboardAccessibilityMode &&
+          !Blockly.WidgetDiv.isVisible() && !Blockly.DropDownDiv.isVisible() &&
+          getTopElements(workspace).length > 0;
+    },
+    callback: function(workspace, e) {
+      // Prevent the default scrolling of the page.
+      e.preventDefault();
+      const [dx, dy] = directions[e.keyCode];
+      const grid = workspace.getGrid();
+      let step = grid && grid.getSpacing() ? grid.getSpacing() : NUDGE_STEP;
+      if (e.shiftKey) {
+        step *= LARGE_NUDGE_STEPS;
+      }
+
+      // Keep the nudges of a held key in one undo group.
+      if (e.repeat && nudgeGroup) {
+        Blockly.Events.setGroup(nudgeGroup);
+      } else {
+        Blockly.Events.setGroup(true);
+        nudgeGroup = Blockly.Events.getGroup();
+      }
+      getTopElements(workspace).forEach((element) => {
+        element.moveBy(dx * step, dy * step, ['nudge']);
+      });
+      Blockly.Events.setGroup(false);
+      return true;
+    },
+  };
+  if (name in Blockly.ShortcutRegistry.registry.getRegistry()) {
+    Blockly.ShortcutRegistry.registry.unregister(name);
+  }
+  Blockly.ShortcutRegistry.registry.register(nudgeShortcut);
+  if (!useNudgeKeys) {
+    return;
+  }
+
+  // Keep the keys mapped by the host or other plugins (e.g. the keyboard
+  // navigation) for them.
+  for (const keyCode of Object.keys(directions)) {
+    for (const modifiers of [[], [Blockly.utils.KeyCodes.SHIFT]]) {
+      const key = Blockly.ShortcutRegistry.registry.createSerializedKey(
+          Number(keyCode), modifiers);
+      const names =
+          Blockly.ShortcutRegistry.registry.getShortcutNamesByKeyCode(key);
+      if (!names || !names.length) {
+        Blockly.ShortcutRegistry.registry.addKeyMapping(
+            key, nudgeShortcut.name);
+      }
+    }
+  }
+};
+
 /**
  * Unregister keyboard shortcut item, should be called before registering.
  */
@@ -597,8 +851,16 @@ export const registerOrigShortcut = function() {
 /**
  * Registers all modified keyboard shortcut item.
  * @param {boolean} useCopyPasteCrossTab Whether to use copy/paste cross tab.
+ * @param {boolean} useSystemClipboard Whether to use the system clipboard.
+ * @param {boolean} useSelectionKeys Whether to map the default keys of
+ *     deselect all and invert selection.
+ * @param {boolean} useNudgeKeys Whether to map the arrow keys to nudge the
+ *     selection.
+ * @param {boolean} useCopyAsCodeKeys Whether to map the default keys of
+ *     copy as code.
  */
-export const registerOurShortcut = function(useCopyPasteCrossTab) {
+export const registerOurShortcut = function(useCopyPasteCrossTab,
+    useSystemClipboard, useSelectionKeys, useNudgeKeys, useCopyAsCodeKeys) {
   const ListNoParameter = [Blockly.ShortcutItems.names.DELETE];
   const map = {
     [Blockly.ShortcutItems.names.DELETE]: registerShortcutDelete,
@@ -610,8 +872,13 @@ export const registerOurShortcut = function(useCopyPasteCrossTab) {
     if (ListNoParameter.includes(name)) {
       map[name]();
     } else {
-      map[name](useCopyPasteCrossTab);
+      map[name](useCopyPasteCrossTab, useSystemClipboard);
     }
   }
   registerSelectAll();
+  registerDeselectAll(useSelectionKeys);
+  registerInvertSelection(useSelectionKeys);
+  registerNudge(useNudgeKeys);
+  registerPasteFromHistory(useCopyPasteCrossTab);
+  registerCopyAsCode(useCopyAsCodeKeys);
 };
@@ -11,6 +11,8 @@ import {
 	getMultiselectDraggableId,
 	getSelectedId,
 	loadBlocks,
+	setMultiFieldUpdateAcrossBlockTypes,
+	setMultiFieldUpdateDeniedIds,
 	test,
 } from "../../test";
 
@@ -68,6 +70,75 @@ test("editing boolean field updates selected boolean blocks", async ({
 	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
 });
 
+test("multi-field update policy skips denied blocks", async ({
+	page,
+	act,
+}) => {
+	await act(
+		loadBlocks(page, [
+			{ type: "logic_boolean", id: "block1" },
+			{ type: "logic_boolean", id: "block2" },
+			{ type: "logic_boolean", id: "block3" },
+		]),
+	);
+	await act(setMultiFieldUpdateDeniedIds(page, ["block3"]));
+	await act(page.keyboard.down("Shift"));
+	for (const id of ["block1", "block2", "block3"]) {
+		await act(page.mouse.click(...(await getBlock(page, { id })).centerTop));
+	}
+	await act(page.keyboard.up("Shift"));
+
+	await act(
+		page.mouse.click(
+			...(await getBlock(page, { id: "block1" })).fields.BOOL.center,
+		),
+	);
+	await act(page.getByRole("option", { name: "false", exact: true }).click());
+
+	expect((await getBlock(page, { id: "block1" })).fields.BOOL.value).toBe(
+		"FALSE",
+	);
+	expect((await getBlock(page, { id: "block2" })).fields.BOOL.value).toBe(
+		"FALSE",
+	);
+	expect((await getBlock(page, { id: "block3" })).fields.BOOL.value).toBe(
+		"TRUE",
+	);
+});
+
+test("multi-field update across block types sharing a field", async ({
+	page,
+	act,
+}) => {
+	await act(
+		loadBlocks(page, [
+			{ type: "motor_forward", id: "block1" },
+			{ type: "motor_backward", id: "block2" },
+			{ type: "motor_stop", id: "block3" },
+			{ type: "motor_backward", id: "block4" },
+		]),
+	);
+	await act(setMultiFieldUpdateAcrossBlockTypes(page, true));
+	await act(page.keyboard.down("Shift"));
+	for (const id of ["block1", "block2", "block3"]) {
+		await act(page.mouse.click(...(await getBlock(page, { id })).centerTop));
+	}
+	await act(page.keyboard.up("Shift"));
+
+	await act(
+		page.mouse.click(
+			...(await getBlock(page, { id: "block1" })).fields.PORT.center,
+		),
+	);
+	await act(page.getByRole("option", { name: "B", exact: true }).click());
+
+	expect((await getBlock(page, { id: "block1" })).fields.PORT.value).toBe("B");
+	expect((await getBlock(page, { id: "block2" })).fields.PORT.value).toBe("B");
+	// The C port is the only other option of the stop block.
+	expect((await getBlock(page, { id: "block3" })).fields.PORT.value).toBe("A");
+	expect((await getBlock(page, { id: "block4" })).fields.PORT.value).toBe("A");
+});
+
 test("undo boolean field multi-edit", async ({ page, act }) => {
 	await act(
 		loadBlocks(page, [
@@ -1,18 +1,30 @@
 import { expect } from "@playwright/test";
 import {
+	callMultiselect,
 	getAllBlockIds,
 	getBackpack,
 	getBlock,
+	getCopiedText,
 	getEmptySpace,
 	getGridSpacing,
 	getHighlightedBlockIds,
 	getMultiselectDraggableId,
 	getSelectedId,
+	getOtherWorkspace,
+	getOtherWorkspaceBlockTypes,
 	getTrash,
+	injectOtherWorkspace,
 	loadBlocks,
 	openBackpack,
 	openTrash,
+	receiveClipboardFromOtherDevice,
+	receiveClipboardFromOtherTab,
+	recordCopiedText,
+	setBlockMovable,
+	setMaxBlocks,
 	test,
+	undo,
+	useStorageWithoutSubscribe,
 } from "../../../test";
 
 test.beforeEach(async ({ page, act }) => {
@@ -91,6 +103,76 @@ test("duplicate blocks via context menu", async ({ page, act }) => {
 	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
 });
 
+test("select blocks of the same type via context menu", async ({
+	page,
+	act,
+}) => {
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block4" })).centerTop, {
+			button: "right",
+		}),
+	);
+	await act(
+		page
+			.getByRole("menuitem", {
+				exact: true,
+				name: "Select all blocks of this type (3)",
+			})
+			.click(),
+	);
+
+	expect(await getHighlightedBlockIds(page)).toEqual([
+		"block1",
+		"block3-child",
+		"block4",
+	]);
+	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
+});
+
+test("invert selection via keyboard", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+I"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block4"]);
+	expect(await getSelectedId(page)).toBe("block4");
+});
+
+test("invert selection via context menu", async ({ page, act }) => {
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	await act(
+		page
+			.getByRole("menuitem", { exact: true, name: "Invert selection" })
+			.click(),
+	);
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block4"]);
+	expect(await getSelectedId(page)).toBe("block4");
+});
+
+test("deselect all via keyboard", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+Shift+A"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual([]);
+	expect(await getSelectedId(page)).toBeNull();
+});
+
+test("deselect all via context menu", async ({ page, act }) => {
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Deselect all" }).click(),
+	);
+
+	expect(await getHighlightedBlockIds(page)).toEqual([]);
+	expect(await getSelectedId(page)).toBeNull();
+});
+
 test("copy and paste blocks via keyboard", async ({ page, act }) => {
 	await act(page.keyboard.press("Control+C"));
 	expect(await getAllBlockIds(page)).toEqual([
@@ -137,6 +219,28 @@ test("copy and paste blocks via keyboard", async ({ page, act }) => {
 	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
 });
 
+test("paste ignores copied blocks of unknown types", async ({
+	page,
+	act,
+}) => {
+	await act(page.keyboard.press("Control+C"));
+	await act(
+		receiveClipboardFromOtherTab(page, {
+			format: "blockly-multiselect",
+			version: 2,
+			app: "other-app",
+			blocklyVersion: "11.2.2",
+			blockTypes: ["unknown_block"],
+			elements: [{ blockState: { type: "unknown_block" } }],
+			connections: [],
+		}),
+	);
+
+	await act(page.keyboard.press("Control+V"));
+	expect(await getAllBlockIds(page)).toHaveLength(11);
+	expect(await getHighlightedBlockIds(page)).toHaveLength(3);
+});
+
 test("copy and paste blocks via context menu", async ({ page, act }) => {
 	await act(
 		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop, {
@@ -197,6 +301,227 @@ test("copy and paste blocks via context menu", async ({ page, act }) => {
 	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
 });
 
+test("export and import blocks via context menu", async ({ page, act }) => {
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop, {
+			button: "right",
+		}),
+	);
+	const downloadPromise = page.waitForEvent("download");
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Export to file" }).click(),
+	);
+	const download = await downloadPromise;
+	expect(download.suggestedFilename()).toBe("blocks.json");
+
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	const fileChooserPromise = page.waitForEvent("filechooser");
+	await act(
+		page
+			.getByRole("menuitem", { exact: true, name: "Import from file…" })
+			.click(),
+	);
+	await act((await fileChooserPromise).setFiles(await download.path()));
+	await expect.poll(() => getAllBlockIds(page)).toHaveLength(11);
+	const newBlockIds = (await getAllBlockIds(page)).filter(
+		(id) =>
+			![
+				"block1",
+				"block2",
+				"block2-child",
+				"block3",
+				"block3-child",
+				"block4",
+			].includes(id),
+	);
+	const highlightedBlockIds = await getHighlightedBlockIds(page);
+	expect(newBlockIds).toHaveLength(5);
+	expect(highlightedBlockIds).toHaveLength(3);
+	expect(newBlockIds).toEqual(expect.arrayContaining(highlightedBlockIds));
+});
+
+test("export blocks as an SVG image", async ({ page }) => {
+	const svg = await callMultiselect(page, "getSelectionSvg");
+	if (svg === null) throw new Error("No SVG image");
+	expect(svg).toContain("<style>");
+	for (const id of ["block1", "block2", "block2-child", "block3"]) {
+		expect(svg).toContain(`data-id="${id}"`);
+	}
+	expect(svg).not.toContain('data-id="block4"');
+	expect(svg).not.toMatch(/class="[^"]*blocklySelected/);
+});
+
+test("paste nothing when the blocks exceed the workspace capacity", async ({
+	page,
+	act,
+}) => {
+	await act(page.keyboard.press("Control+C"));
+	await act(setMaxBlocks(page, 8));
+	const dialogMessage = new Promise<string>((resolve) => {
+		page.once("dialog", async (dialog) => {
+			resolve(dialog.message());
+			await dialog.dismiss();
+		});
+	});
+
+	await act(page.keyboard.press("Control+V"));
+	expect(await dialogMessage).toBe(
+		"Nothing was added, as this needs 5 blocks, but only 2 more can be added to the workspace.",
+	);
+	expect(await getAllBlockIds(page)).toHaveLength(6);
+});
+
+test("paste menu counts blocks copied in another tab", async ({
+	page,
+	act,
+}) => {
+	await act(
+		receiveClipboardFromOtherTab(page, {
+			format: "blockly-multiselect",
+			version: 2,
+			app: null,
+			blocklyVersion: "11.2.2",
+			blockTypes: ["logic_boolean"],
+			elements: [
+				{
+					blockState: { type: "logic_boolean", x: 0, y: 0 },
+					typeCounts: { logic_boolean: 1 },
+				},
+				{
+					blockState: { type: "logic_boolean", x: 0, y: 50 },
+					typeCounts: { logic_boolean: 1 },
+				},
+			],
+			connections: [],
+		}),
+	);
+
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Paste (2)" }).click(),
+	);
+	expect(await getAllBlockIds(page)).toHaveLength(8);
+});
+
+test("paste blocks copied on another device through a storage without subscribe", async ({
+	page,
+	act,
+}) => {
+	await useStorageWithoutSubscribe(page);
+	await receiveClipboardFromOtherDevice(page, {
+		format: "blockly-multiselect",
+		version: 2,
+		app: null,
+		blocklyVersion: "11.2.2",
+		blockTypes: ["logic_boolean"],
+		elements: [
+			{
+				blockState: { type: "logic_boolean", x: 0, y: 0 },
+				typeCounts: { logic_boolean: 1 },
+			},
+			{
+				blockState: { type: "logic_boolean", x: 0, y: 50 },
+				typeCounts: { logic_boolean: 1 },
+			},
+		],
+		connections: [],
+	});
+
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Paste (2)" }).click(),
+	);
+	expect(await getAllBlockIds(page)).toHaveLength(8);
+});
+
+test("copy leaves the copy time of earlier plugin versions alone", async ({
+	page,
+	act,
+}) => {
+	await page.evaluate(() => localStorage.setItem("blocklyStashTime", "1"));
+	await act(page.keyboard.press("Control+C"));
+	const time = await page.evaluate(() =>
+		localStorage.getItem("blocklyStashTime"),
+	);
+	expect(time).toBe("1");
+});
+
+test("paste via context menu at the right-click location", async ({
+	page,
+	act,
+}) => {
+	const gridSpacing = await getGridSpacing(page);
+	if (gridSpacing === null) throw new Error("Workspace has no grid");
+	const tops = await Promise.all(
+		["block1", "block2", "block3"].map(
+			async (id) => (await getBlock(page, { id })).bounds.top,
+		),
+	);
+	await act(page.keyboard.press("Control+C"));
+
+	const [x, y] = await getEmptySpace(page);
+	await act(page.mouse.click(x, y, { button: "right" }));
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Paste (3)" }).click(),
+	);
+
+	const pastedBounds = await Promise.all(
+		(await getHighlightedBlockIds(page)).map(
+			async (id) => (await getBlock(page, { id })).bounds,
+		),
+	);
+	expect(pastedBounds).toHaveLength(3);
+	const pastedTops = pastedBounds.map((bounds) => bounds.top);
+	const pastedLefts = pastedBounds.map((bounds) => bounds.left);
+	expect(Math.abs(Math.min(...pastedLefts) - x)).toBeLessThan(gridSpacing);
+	expect(Math.abs(Math.min(...pastedTops) - y)).toBeLessThan(gridSpacing);
+	expect(Math.max(...pastedTops) - Math.min(...pastedTops)).toBeCloseTo(
+		Math.max(...tops) - Math.min(...tops),
+	);
+});
+
+test("paste from history via context menu", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+C"));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block4" })).centerTop),
+	);
+	await act(page.keyboard.press("Control+C"));
+
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	await act(
+		page
+			.getByRole("menuitem", { exact: true, name: "Paste from history…" })
+			.click(),
+	);
+	await act(
+		page
+			.getByRole("menuitem", {
+				exact: true,
+				name: "3 blocks: logic_boolean, math_arithmetic, logic_compare",
+			})
+			.click(),
+	);
+
+	expect(await getAllBlockIds(page)).toHaveLength(11);
+	expect(await getHighlightedBlockIds(page)).toHaveLength(3);
+});
+
 test("cut and paste blocks via keyboard", async ({ page, act }) => {
 	await act(page.keyboard.press("Control+X"));
 	expect(await getAllBlockIds(page)).toEqual(["block4"]);
@@ -313,6 +638,107 @@ test("drag blocks to backpack", async ({ page, act }) => {
 	).rejects.toThrow('Block type "math_number" not found');
 });
 
+test("drag blocks onto another workspace to move them", async ({
+	page,
+	act,
+}) => {
+	await injectOtherWorkspace(page);
+	await act(
+		page.mouse.move(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+	await act(page.mouse.down());
+	await act(page.mouse.move(...(await getOtherWorkspace(page))));
+	await act(page.mouse.up());
+
+	expect(await getAllBlockIds(page)).toEqual(["block4"]);
+	expect(await getOtherWorkspaceBlockTypes(page)).toEqual(
+		expect.arrayContaining([
+			"logic_boolean",
+			"logic_compare",
+			"math_arithmetic",
+			"math_number",
+		]),
+	);
+
+	await act(undo(page));
+
+	expect(await getAllBlockIds(page)).toEqual([
+		"block1",
+		"block2",
+		"block2-child",
+		"block3",
+		"block3-child",
+		"block4",
+	]);
+
+	await act(undo(page, "other"));
+
+	expect(await getOtherWorkspaceBlockTypes(page)).toEqual([]);
+});
+
+test("drag blocks onto another workspace to move them keeps the immovable ones", async ({
+	page,
+	act,
+}) => {
+	await injectOtherWorkspace(page);
+	await setBlockMovable(page, "block1", false);
+	await act(
+		page.mouse.move(...(await getBlock(page, { id: "block2" })).centerTop),
+	);
+	await act(page.mouse.down());
+	await act(page.mouse.move(...(await getOtherWorkspace(page))));
+	await act(page.mouse.up());
+
+	expect(await getAllBlockIds(page)).toEqual(["block1", "block4"]);
+	expect(await getOtherWorkspaceBlockTypes(page)).toEqual([
+		"logic_boolean",
+		"logic_compare",
+		"math_arithmetic",
+		"math_number",
+	]);
+});
+
+test("drag blocks onto another workspace with Control to copy them", async ({
+	page,
+	act,
+}) => {
+	await injectOtherWorkspace(page);
+	const block1BoundsStart = (await getBlock(page, { id: "block1" })).bounds;
+	await act(
+		page.mouse.move(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+	await act(page.mouse.down());
+	await act(page.mouse.move(...(await getOtherWorkspace(page))));
+	await act(page.keyboard.down("Control"));
+	await act(page.mouse.up());
+	await act(page.keyboard.up("Control"));
+
+	expect(await getAllBlockIds(page)).toEqual([
+		"block1",
+		"block2",
+		"block2-child",
+		"block3",
+		"block3-child",
+		"block4",
+	]);
+	const block1BoundsEnd = (await getBlock(page, { id: "block1" })).bounds;
+	expect(block1BoundsEnd.left).toBeCloseTo(block1BoundsStart.left);
+	expect(block1BoundsEnd.top).toBeCloseTo(block1BoundsStart.top);
+	expect(await getOtherWorkspaceBlockTypes(page)).toEqual(
+		expect.arrayContaining([
+			"logic_boolean",
+			"logic_compare",
+			"math_arithmetic",
+			"math_number",
+		]),
+	);
+
+	await act(undo(page, "other"));
+
+	expect(await getOtherWorkspaceBlockTypes(page)).toEqual([]);
+	expect(await getAllBlockIds(page)).toHaveLength(6);
+});
+
 test("undo via keyboard", async ({ page, act }) => {
 	await act(page.keyboard.press("Delete"));
 	expect(await getAllBlockIds(page)).toEqual(["block4"]);
@@ -350,6 +776,48 @@ test("undo via context menu", async ({ page, act }) => {
 	]);
 });
 
+test("undo and redo paste restores selection", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+C"));
+	await act(page.keyboard.press("Control+V"));
+	const pastedBlockIds = await getHighlightedBlockIds(page);
+	expect(pastedBlockIds).toHaveLength(3);
+
+	await act(page.keyboard.press("Control+Z"));
+	expect(await getAllBlockIds(page)).toHaveLength(6);
+	expect(await getHighlightedBlockIds(page)).toEqual([
+		"block1",
+		"block2",
+		"block2-child",
+		"block3",
+	]);
+	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
+
+	await act(page.keyboard.press("Control+Y"));
+	expect(await getAllBlockIds(page)).toHaveLength(11);
+	expect(await getHighlightedBlockIds(page)).toEqual(pastedBlockIds);
+	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
+});
+
+test("undo and redo cut restores selection", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+X"));
+	expect(await getHighlightedBlockIds(page)).toEqual([]);
+
+	await act(page.keyboard.press("Control+Z"));
+	expect(await getAllBlockIds(page)).toHaveLength(6);
+	expect(await getHighlightedBlockIds(page)).toEqual([
+		"block1",
+		"block2",
+		"block2-child",
+		"block3",
+	]);
+	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
+
+	await act(page.keyboard.press("Control+Y"));
+	expect(await getAllBlockIds(page)).toEqual(["block4"]);
+	expect(await getHighlightedBlockIds(page)).toEqual([]);
+	expect(await getSelectedId(page)).toBeNull();
+});
+
 test("drag blocks", async ({ page, act }) => {
 	const gridSpacing = await getGridSpacing(page);
 	if (gridSpacing === null) throw new Error("Workspace has no grid");
@@ -404,3 +872,137 @@ test("drag blocks", async ({ page, act }) => {
 	]);
 	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
 });
+
+test("nudge blocks via keyboard", async ({ page, act }) => {
+	const gridSpacing = await getGridSpacing(page);
+	if (gridSpacing === null) throw new Error("Workspace has no grid");
+	const block1BoundsStart = (await getBlock(page, { id: "block1" })).bounds;
+	const block2BoundsStart = (await getBlock(page, { id: "block2" })).bounds;
+	const block4BoundsStart = (await getBlock(page, { id: "block4" })).bounds;
+
+	await act(page.keyboard.press("ArrowRight"));
+	await act(page.keyboard.press("Shift+ArrowDown"));
+
+	const block1BoundsEnd = (await getBlock(page, { id: "block1" })).bounds;
+	const block2BoundsEnd = (await getBlock(page, { id: "block2" })).bounds;
+	const block4BoundsEnd = (await getBlock(page, { id: "block4" })).bounds;
+	expect(block1BoundsEnd.left - block1BoundsStart.left).toBeCloseTo(
+		gridSpacing,
+	);
+	expect(block1BoundsEnd.top - block1BoundsStart.top).toBeCloseTo(
+		gridSpacing * 5,
+	);
+	expect(block2BoundsEnd.left - block2BoundsStart.left).toBeCloseTo(
+		gridSpacing,
+	);
+	expect(block2BoundsEnd.top - block2BoundsStart.top).toBeCloseTo(
+		gridSpacing * 5,
+	);
+	expect(block4BoundsEnd).toEqual(block4BoundsStart);
+	expect(await getHighlightedBlockIds(page)).toEqual([
+		"block1",
+		"block2",
+		"block2-child",
+		"block3",
+	]);
+
+	await act(page.keyboard.press("Control+Z"));
+	expect((await getBlock(page, { id: "block1" })).bounds.top).toBeCloseTo(
+		block1BoundsStart.top,
+	);
+});
+
+test("align blocks via context menu", async ({ page, act }) => {
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop, {
+			button: "right",
+		}),
+	);
+	await act(
+		page
+			.getByRole("menuitem", { exact: true, name: "Align and distribute" })
+			.click(),
+	);
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Align left" }).click(),
+	);
+
+	const block1Bounds = (await getBlock(page, { id: "block1" })).bounds;
+	const block2Bounds = (await getBlock(page, { id: "block2" })).bounds;
+	const block3Bounds = (await getBlock(page, { id: "block3" })).bounds;
+	expect(block2Bounds.left).toBeCloseTo(block1Bounds.left);
+	expect(block3Bounds.left).toBeCloseTo(block1Bounds.left);
+});
+
+test("clean up selected blocks via context menu", async ({ page, act }) => {
+	const block4BoundsStart = (await getBlock(page, { id: "block4" })).bounds;
+
+	await act(
+		page.mouse.click(...(await getEmptySpace(page)), {
+			button: "right",
+		}),
+	);
+	await act(
+		page
+			.getByRole("menuitem", {
+				exact: true,
+				name: "Clean up selected blocks",
+			})
+			.click(),
+	);
+
+	const block1Bounds = (await getBlock(page, { id: "block1" })).bounds;
+	const block2Bounds = (await getBlock(page, { id: "block2" })).bounds;
+	const block3Bounds = (await getBlock(page, { id: "block3" })).bounds;
+	expect(block2Bounds.left).toBeCloseTo(block1Bounds.left);
+	expect(block3Bounds.left).toBeCloseTo(block1Bounds.left);
+	expect(block2Bounds.top).toBeGreaterThan(block1Bounds.bottom);
+	expect(block3Bounds.top).toBeGreaterThan(block2Bounds.bottom);
+	expect((await getBlock(page, { id: "block4" })).bounds).toEqual(
+		block4BoundsStart,
+	);
+});
+
+test("copy blocks as code via context menu", async ({ page, act }) => {
+	await act(recordCopiedText(page));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop, {
+			button: "right",
+		}),
+	);
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Copy as code" }).click(),
+	);
+
+	const code = await getCopiedText(page);
+	if (code === null) throw new Error("No code copied");
+	expect(code.split("\n").filter(Boolean).sort()).toEqual(
+		["true;", "0 + 0;", "true == 0;"].sort(),
+	);
+});
+
+test("drag blocks snaps them to the grid", async ({ page, act }) => {
+	const gridSpacing = await getGridSpacing(page);
+	if (gridSpacing === null) throw new Error("Workspace has no grid");
+	const block1BoundsStart = (await getBlock(page, { id: "block1" })).bounds;
+	const block3BoundsStart = (await getBlock(page, { id: "block3" })).bounds;
+	const [block1Center, block1Top] = (await getBlock(page, { id: "block1" }))
+		.centerTop;
+
+	await act(page.mouse.move(block1Center, block1Top));
+	await act(page.mouse.down());
+	await act(
+		page.mouse.move(
+			block1Center + gridSpacing / 3,
+			block1Top + gridSpacing * 1.3,
+		),
+	);
+	await act(page.mouse.up());
+
+	const block1BoundsEnd = (await getBlock(page, { id: "block1" })).bounds;
+	const block3BoundsEnd = (await getBlock(page, { id: "block3" })).bounds;
+	expect(block1BoundsEnd.left).toBeCloseTo(block1BoundsStart.left);
+	expect(block1BoundsEnd.top - block1BoundsStart.top).toBeCloseTo(gridSpacing);
+	expect(block3BoundsEnd.left).toBeCloseTo(block3BoundsStart.left);
+	expect(block3BoundsEnd.top - block3BoundsStart.top).toBeCloseTo(gridSpacing);
+});
@@ -1,6 +1,9 @@
 import { expect } from "@playwright/test";
 import {
+	appendBlock,
+	getAllBlockIds,
 	getAllCommentIds,
+	getBlock,
 	getComment,
 	getEmptySpace,
 	getGridSpacing,
@@ -9,6 +12,7 @@ import {
 	getSelectedId,
 	getTrash,
 	loadComments,
+	setMaxBlocks,
 	test,
 } from "../../../test";
 
@@ -59,6 +63,43 @@ test("duplicate comments via context menu", async ({ page, act }) => {
 	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
 });
 
+test("duplicate comments of a mixed selection at the block limit", async ({
+	page,
+	act,
+}) => {
+	await act(
+		appendBlock(page, { type: "logic_boolean", id: "block1", x: 300 }),
+	);
+	await act(page.keyboard.down("Shift"));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+	await act(page.keyboard.up("Shift"));
+	await act(setMaxBlocks(page, 1));
+	let dialogShown = false;
+	page.on("dialog", async (dialog) => {
+		dialogShown = true;
+		await dialog.dismiss();
+	});
+
+	await act(
+		page.mouse.click(...(await getComment(page, "comment1")).centerTop, {
+			button: "right",
+		}),
+	);
+	await act(
+		page
+			.getByRole("menuitem", {
+				exact: true,
+				name: "Duplicate Comment (2)",
+			})
+			.click(),
+	);
+	expect(dialogShown).toBe(false);
+	expect(await getAllCommentIds(page)).toHaveLength(5);
+	expect(await getAllBlockIds(page)).toEqual(["block1"]);
+});
+
 test("copy and paste comments via keyboard", async ({ page, act }) => {
 	await act(page.keyboard.press("Control+C"));
 	expect(await getAllCommentIds(page)).toEqual([
@@ -1,8 +1,10 @@
 import { expect } from "@playwright/test";
 import {
 	getAllBlockIds,
+	getAllVariableIds,
 	getBackpack,
 	getBlock,
+	getCopiedText,
 	getEmptySpace,
 	getGridSpacing,
 	getHighlightedBlockIds,
@@ -11,6 +13,8 @@ import {
 	loadBlocks,
 	openBackpack,
 	openTrash,
+	receiveClipboardFromOtherTab,
+	recordCopiedText,
 	test,
 } from "../../../test";
 
@@ -63,6 +67,110 @@ test("copy and paste block via keyboard", async ({ page, act }) => {
 	expect(await getSelectedId(page)).toBe(newBlockId);
 });
 
+test("paste statement block into the selected block via keyboard", async ({
+	page,
+	act,
+}) => {
+	await act(
+		loadBlocks(page, [
+			{ type: "text_print", id: "block1" },
+			{ type: "text_print", id: "block2" },
+		]),
+	);
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block2" })).centerTop),
+	);
+	await act(page.keyboard.press("Control+C"));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+
+	await act(page.keyboard.press("Control+V"));
+	const allBlockIds = await getAllBlockIds(page);
+	expect(allBlockIds).toHaveLength(3);
+	const [newBlockId] = allBlockIds.filter(
+		(id) => !["block1", "block2"].includes(id),
+	);
+	expect((await getBlock(page, { id: newBlockId })).parentId).toBe("block1");
+	expect(await getSelectedId(page)).toBe(newBlockId);
+});
+
+test("copy block as code without the blocks below it", async ({
+	page,
+	act,
+}) => {
+	await act(
+		loadBlocks(page, [
+			{
+				type: "text_print",
+				id: "block1",
+				inputs: {
+					TEXT: { block: { type: "text", fields: { TEXT: "abc" } } },
+				},
+				next: { block: { type: "text_print", id: "block2" } },
+			},
+		]),
+	);
+	await act(recordCopiedText(page));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop, {
+			button: "right",
+		}),
+	);
+	await act(
+		page.getByRole("menuitem", { exact: true, name: "Copy as code" }).click(),
+	);
+
+	expect(await getCopiedText(page)).toBe("window.alert('abc');\n");
+});
+
+test("paste block from another tab maps its variable by name", async ({
+	page,
+	act,
+}) => {
+	await act(
+		loadBlocks(page, [
+			{
+				type: "variables_get",
+				id: "block1",
+				fields: { VAR: { id: "var1", name: "x" } },
+			},
+		]),
+	);
+	await act(
+		receiveClipboardFromOtherTab(page, {
+			format: "blockly-multiselect",
+			version: 2,
+			app: null,
+			blocklyVersion: "11.2.2",
+			blockTypes: ["variables_get"],
+			elements: [
+				{
+					blockState: {
+						type: "variables_get",
+						x: 0,
+						y: 0,
+						fields: {
+							VAR: { id: "other-tab-var", name: "x", type: "" },
+						},
+					},
+					typeCounts: { variables_get: 1 },
+				},
+			],
+			connections: [],
+		}),
+	);
+
+	await act(page.keyboard.press("Control+V"));
+	const allBlockIds = await getAllBlockIds(page);
+	expect(allBlockIds).toHaveLength(2);
+	const [newBlockId] = allBlockIds.filter((id) => id !== "block1");
+	expect((await getBlock(page, { id: newBlockId })).fields.VAR.value).toBe(
+		"var1",
+	);
+	expect(await getAllVariableIds(page)).toEqual(["var1"]);
+});
+
 test("copy and paste block via context menu", async ({ page, act }) => {
 	await act(
 		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop, {
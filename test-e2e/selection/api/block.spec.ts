@@ -0,0 +1,87 @@
+import { expect } from "@playwright/test";
+import {
+	callMultiselect,
+	getBlock,
+	getHighlightedBlockIds,
+	getMultiselectDraggableId,
+	getSelectedId,
+	loadBlocks,
+	test,
+} from "../../test";
+
+test.beforeEach(async ({ page, act }) => {
+	await act(
+		loadBlocks(page, [
+			{ type: "logic_boolean", id: "block1" },
+			{ type: "logic_boolean", id: "block2" },
+			{ type: "logic_boolean", id: "block3" },
+		]),
+	);
+});
+
+test("select adds blocks to selection", async ({ page, act }) => {
+	await act(callMultiselect(page, "select", ["block1", "block2"]));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block1", "block2"]);
+	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
+	expect(await callMultiselect(page, "getSelection")).toEqual([
+		"block1",
+		"block2",
+	]);
+});
+
+test("select keeps clicked block selected", async ({ page, act }) => {
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+
+	await act(callMultiselect(page, "select", ["block2"]));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block1", "block2"]);
+	expect(await getSelectedId(page)).toBe(await getMultiselectDraggableId(page));
+});
+
+test("deselect removes blocks from selection", async ({ page, act }) => {
+	await act(callMultiselect(page, "select", ["block1", "block2", "block3"]));
+
+	await act(callMultiselect(page, "deselect", ["block1", "block3"]));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block2"]);
+	expect(await getSelectedId(page)).toBe("block2");
+});
+
+test("toggle switches block selection", async ({ page, act }) => {
+	await act(callMultiselect(page, "select", ["block1"]));
+
+	await act(callMultiselect(page, "toggle", "block1"));
+	await act(callMultiselect(page, "toggle", "block2"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block2"]);
+	expect(await getSelectedId(page)).toBe("block2");
+});
+
+test("clear deselects all blocks", async ({ page, act }) => {
+	await act(callMultiselect(page, "select", ["block1", "block2"]));
+
+	await act(callMultiselect(page, "clear"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual([]);
+	expect(await getSelectedId(page)).toBe(null);
+	expect(await callMultiselect(page, "getSelection")).toEqual([]);
+});
+
+test("shift click after select extends selection", async ({ page, act }) => {
+	await act(callMultiselect(page, "select", ["block1", "block2"]));
+
+	await act(page.keyboard.down("Shift"));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block3" })).centerTop),
+	);
+	await act(page.keyboard.up("Shift"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual([
+		"block1",
+		"block2",
+		"block3",
+	]);
+});
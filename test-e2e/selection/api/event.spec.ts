@@ -0,0 +1,65 @@
+import { expect } from "@playwright/test";
+import {
+	getBlock,
+	getEmptySpace,
+	getMultiselectChanges,
+	getWorkspaceId,
+	loadBlocks,
+	recordMultiselectChanges,
+	test,
+} from "../../test";
+
+test.beforeEach(async ({ page, act }) => {
+	await act(
+		loadBlocks(page, [
+			{ type: "logic_boolean", id: "block1" },
+			{ type: "logic_boolean", id: "block2" },
+		]),
+	);
+	await act(recordMultiselectChanges(page));
+});
+
+test("shift click fires selection change", async ({ page, act }) => {
+	await act(page.keyboard.down("Shift"));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block2" })).centerTop),
+	);
+	await act(page.keyboard.up("Shift"));
+
+	const workspaceId = await getWorkspaceId(page);
+	expect(await getMultiselectChanges(page)).toEqual([
+		{ oldSelection: [], newSelection: ["block1"], workspaceId },
+		{
+			oldSelection: ["block1"],
+			newSelection: ["block1", "block2"],
+			workspaceId,
+		},
+	]);
+});
+
+test("select all fires selection change", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+A"));
+
+	expect(await getMultiselectChanges(page)).toEqual([
+		{
+			oldSelection: [],
+			newSelection: ["block1", "block2"],
+			workspaceId: await getWorkspaceId(page),
+		},
+	]);
+});
+
+test("clicking empty space fires selection change", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+A"));
+
+	await act(page.mouse.click(...(await getEmptySpace(page))));
+
+	expect((await getMultiselectChanges(page)).at(-1)).toEqual({
+		oldSelection: ["block1", "block2"],
+		newSelection: [],
+		workspaceId: await getWorkspaceId(page),
+	});
+});
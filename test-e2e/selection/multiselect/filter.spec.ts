@@ -0,0 +1,40 @@
+import { expect } from "@playwright/test";
+import {
+	getBlock,
+	getHighlightedBlockIds,
+	getSelectedId,
+	loadBlocks,
+	setUnselectableIds,
+	test,
+} from "../../test";
+
+test.beforeEach(async ({ page, act }) => {
+	await act(
+		loadBlocks(page, [
+			{ type: "logic_boolean", id: "block1" },
+			{ type: "logic_boolean", id: "block2" },
+			{ type: "logic_boolean", id: "block3" },
+		]),
+	);
+	await act(setUnselectableIds(page, ["block2"]));
+});
+
+test("shift click skips filtered blocks", async ({ page, act }) => {
+	await act(page.keyboard.down("Shift"));
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block1" })).centerTop),
+	);
+	await act(
+		page.mouse.click(...(await getBlock(page, { id: "block2" })).centerTop),
+	);
+	await act(page.keyboard.up("Shift"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block1"]);
+	expect(await getSelectedId(page)).toBe("block1");
+});
+
+test("select all skips filtered blocks", async ({ page, act }) => {
+	await act(page.keyboard.press("Control+A"));
+
+	expect(await getHighlightedBlockIds(page)).toEqual(["block1", "block3"]);
+});
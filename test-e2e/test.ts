@@ -11,9 +11,28 @@ type RenderedWorkspaceComment = comments.RenderedWorkspaceComment;
 
 declare const Blockly: typeof import("blockly");
 
+type MultiselectPlugin = {
+	getSelection(): string[];
+	select(ids: string[]): void;
+	deselect(ids: string[]): void;
+	toggle(id: string): void;
+	clear(): void;
+	getSelectionSvg(): string | null;
+};
+
 declare global {
 	interface Window {
 		multiDraggableWeakMap: WeakMap<WorkspaceSvg, { id: string }>;
+		multiselectPluginWeakMap: WeakMap<WorkspaceSvg, MultiselectPlugin>;
+		multiselectChanges: MultiselectChangeJSON[];
+		unselectableIds: string[];
+		multiFieldUpdateDeniedIds: string[];
+		multiFieldUpdateAcrossBlockTypes: boolean;
+		copiedText: string | null;
+		createWorkspace(blocklyDiv: HTMLElement, options: object): WorkspaceSvg;
+		otherWorkspace: WorkspaceSvg;
+		setClipboardStorage(storage: object): void;
+		serverItems: Record<string, string>;
 	}
 }
 
@@ -32,9 +51,15 @@ type BlockJSON = {
 	hasComment: boolean;
 	hasInlineInputs: boolean;
 	isEnabled: boolean;
+	parentId: string | null;
 	fields: Record<string, FieldJSON>;
 };
 type CommentJSON = { centerTop: Point; bounds: Bounds };
+type MultiselectChangeJSON = {
+	oldSelection: string[];
+	newSelection: string[];
+	workspaceId: string;
+};
 
 export const test = base.extend<{ act: Act }>({
 	page: async (
@@ -177,6 +202,7 @@ export const getBlock = (page: Page, query: BlockQuery): Promise<BlockJSON> =>
 			hasComment: block.hasIcon(Blockly.icons.CommentIcon.TYPE),
 			hasInlineInputs: block.getInputsInline(),
 			isEnabled: block.isEnabled(),
+			parentId: block.getParent()?.id ?? null,
 			fields,
 		};
 	}, query);
@@ -189,6 +215,14 @@ export const getAllBlockIds = (page: Page): Promise<string[]> =>
 			.sort(),
 	);
 
+export const getAllVariableIds = (page: Page): Promise<string[]> =>
+	page.evaluate(() =>
+		(Blockly.getMainWorkspace() as WorkspaceSvg)
+			.getAllVariables()
+			.map((variable) => variable.getId())
+			.sort(),
+	);
+
 export const getHighlightedBlockIds = (page: Page): Promise<string[]> =>
 	page.evaluate(() =>
 		(Blockly.getMainWorkspace() as WorkspaceSvg)
@@ -225,6 +259,14 @@ export const loadComments = (
 		}
 	}, comments);
 
+export const appendBlock = (
+	page: Page,
+	block: serialization.blocks.State,
+): Promise<void> =>
+	page.evaluate((block) => {
+		Blockly.serialization.blocks.append(block, Blockly.getMainWorkspace());
+	}, block);
+
 export const getComment = (page: Page, id: string): Promise<CommentJSON> =>
 	page.evaluate((id) => {
 		const workspace = Blockly.getMainWorkspace() as WorkspaceSvg;
@@ -278,6 +320,174 @@ export const getHighlightedCommentIds = (page: Page): Promise<string[]> =>
 export const getSelectedId = (page: Page): Promise<string | null> =>
 	page.evaluate(() => Blockly.getSelected()?.id ?? null);
 
+export const callMultiselect = <K extends keyof MultiselectPlugin>(
+	page: Page,
+	method: K,
+	...args: Parameters<MultiselectPlugin[K]>
+): Promise<ReturnType<MultiselectPlugin[K]>> =>
+	page.evaluate(
+		({ method, args }) => {
+			const plugin = window.multiselectPluginWeakMap.get(
+				Blockly.getMainWorkspace() as WorkspaceSvg,
+			);
+			if (!plugin) throw new Error("Multiselect plugin not found");
+			return (plugin[method] as (...args: unknown[]) => unknown).apply(
+				plugin,
+				args,
+			);
+		},
+		{ method, args: args as unknown[] },
+	) as Promise<ReturnType<MultiselectPlugin[K]>>;
+
+export const recordMultiselectChanges = (page: Page): Promise<void> =>
+	page.evaluate(() => {
+		const workspace = Blockly.getMainWorkspace() as WorkspaceSvg;
+		window.multiselectChanges = [];
+		workspace.addChangeListener((event) => {
+			if (event.type !== "multiselect_change") return;
+			const { oldSelection, newSelection, workspaceId } =
+				event.toJson() as unknown as MultiselectChangeJSON;
+			window.multiselectChanges.push({
+				oldSelection: [...oldSelection].sort(),
+				newSelection: [...newSelection].sort(),
+				workspaceId,
+			});
+		});
+	});
+
+export const getMultiselectChanges = (
+	page: Page,
+): Promise<MultiselectChangeJSON[]> =>
+	page.evaluate(() => window.multiselectChanges);
+
+export const setUnselectableIds = (page: Page, ids: string[]): Promise<void> =>
+	page.evaluate((ids) => {
+		window.unselectableIds = ids;
+	}, ids);
+
+export const setMultiFieldUpdateDeniedIds = (
+	page: Page,
+	ids: string[],
+): Promise<void> =>
+	page.evaluate((ids) => {
+		window.multiFieldUpdateDeniedIds = ids;
+	}, ids);
+
+export const setMultiFieldUpdateAcrossBlockTypes = (
+	page: Page,
+	enabled: boolean,
+): Promise<void> =>
+	page.evaluate((enabled) => {
+		window.multiFieldUpdateAcrossBlockTypes = enabled;
+	}, enabled);
+
+export const setBlockMovable = (
+	page: Page,
+	id: string,
+	movable: boolean,
+): Promise<void> =>
+	page.evaluate(
+		({ id, movable }) => {
+			const workspace = Blockly.getMainWorkspace() as WorkspaceSvg;
+			workspace.getBlockById(id)?.setMovable(movable);
+		},
+		{ id, movable },
+	);
+
+export const setMaxBlocks = (page: Page, maxBlocks: number): Promise<void> =>
+	page.evaluate((maxBlocks) => {
+		(Blockly.getMainWorkspace() as WorkspaceSvg).options.maxBlocks = maxBlocks;
+	}, maxBlocks);
+
+export const receiveClipboardFromOtherTab = (
+	page: Page,
+	payload: Record<string, unknown>,
+): Promise<void> =>
+	page.evaluate((payload) => {
+		const value = JSON.stringify(payload);
+		localStorage.setItem("blocklyStashMulti", value);
+		window.dispatchEvent(
+			new StorageEvent("storage", {
+				key: "blocklyStashMulti",
+				newValue: value,
+				storageArea: localStorage,
+			}),
+		);
+	}, payload);
+
+export const useStorageWithoutSubscribe = (page: Page): Promise<void> =>
+	page.evaluate(() => {
+		window.serverItems = {};
+		window.setClipboardStorage({
+			getItem: (key: string) => window.serverItems[key] ?? null,
+			setItem: (key: string, value: string) => {
+				window.serverItems[key] = value;
+			},
+		});
+	});
+
+export const receiveClipboardFromOtherDevice = (
+	page: Page,
+	payload: Record<string, unknown>,
+): Promise<void> =>
+	page.evaluate((payload) => {
+		window.serverItems.blocklyStashMulti = JSON.stringify(payload);
+	}, payload);
+
+export const recordCopiedText = (page: Page): Promise<void> =>
+	page.evaluate(() => {
+		window.copiedText = null;
+		navigator.clipboard.writeText = async (text: string) => {
+			window.copiedText = text;
+		};
+	});
+
+export const getCopiedText = (page: Page): Promise<string | null> =>
+	page.evaluate(() => window.copiedText);
+
+export const injectOtherWorkspace = (page: Page): Promise<void> =>
+	page.evaluate(() => {
+		const blocklyDiv = document.createElement("div");
+		blocklyDiv.style.cssText =
+			"position: fixed; right: 0; bottom: 0; width: 300px; height: 300px;";
+		document.body.appendChild(blocklyDiv);
+		window.otherWorkspace = window.createWorkspace(blocklyDiv, {
+			multiSelectKeys: ["Shift"],
+		});
+	});
+
+export const getOtherWorkspace = async (page: Page): Promise<Point> => {
+	const bounds = await page.evaluate(() => {
+		const { left, top, width, height } = window.otherWorkspace
+			.getParentSvg()
+			.getBoundingClientRect();
+		return { left, top, width, height };
+	});
+	return [bounds.left + bounds.width / 2, bounds.top + bounds.height / 2];
+};
+
+export const getOtherWorkspaceBlockTypes = (page: Page): Promise<string[]> =>
+	page.evaluate(() =>
+		window.otherWorkspace
+			.getAllBlocks(false)
+			.map((block) => block.type)
+			.sort(),
+	);
+
+export const undo = (
+	page: Page,
+	workspace: "main" | "other" = "main",
+): Promise<void> =>
+	page.evaluate((workspace) => {
+		(workspace === "main"
+			? (Blockly.getMainWorkspace() as WorkspaceSvg)
+			: window.otherWorkspace
+		).undo(false);
+	}, workspace);
+
+export const getWorkspaceId = (page: Page): Promise<string> =>
+	page.evaluate(() => Blockly.getMainWorkspace().id);
+
 export const getMultiselectDraggableId = (page: Page): Promise<string> =>
 	page.evaluate(() => {
 		const multiselectDraggable = window.multiDraggableWeakMap.get(
@@ -9,10 +9,13 @@
  */
 
 import * as Blockly from 'blockly';
+import {javascriptGenerator} from 'blockly/javascript';
 import {toolboxCategories, createPlayground} from '@blockly/dev-tools';
-import {Multiselect} from '../src/index';
+import {Multiselect, setClipboardStorage} from '../src/index';
 import {multiDraggableWeakMap} from '../src/global';
 window.multiDraggableWeakMap = multiDraggableWeakMap;
+window.setClipboardStorage = setClipboardStorage;
+window.multiselectPluginWeakMap = new WeakMap();
 import {Backpack} from '@blockly/workspace-backpack';
 import {NavigationController} from '@blockly/keyboard-navigation';
 
@@ -35,9 +38,11 @@ function createWorkspace(blocklyDiv, options) {
   // Initialize multiselect plugin.
   const multiselectPlugin = new Multiselect(workspace);
   multiselectPlugin.init(options);
+  window.multiselectPluginWeakMap.set(workspace, multiselectPlugin);
 
   return workspace;
 }
+window.createWorkspace = createWorkspace;
 
 Blockly.ContextMenuItems.registerCommentOptions();
 // Initialize keyboard nav plugin.
@@ -78,6 +83,24 @@ Blockly.Blocks['validator_call_counter'] = {
   },
 };
 
+for (const [type, ports] of [
+  ['motor_forward', ['A', 'B']],
+  ['motor_backward', ['A', 'B']],
+  ['motor_stop', ['A', 'C']],
+]) {
+  Blockly.Blocks[type] = {
+    init() {
+      this.appendDummyInput()
+          .appendField(type)
+          .appendField(
+              new Blockly.FieldDropdown(ports.map((port) => [port, port])),
+              'PORT');
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    },
+  };
+}
+
 document.addEventListener('DOMContentLoaded', function() {
   toolboxCategories.contents.push({
     name: 'Test',
@@ -92,7 +115,13 @@ document.addEventListener('DOMContentLoaded', function() {
     toolbox: toolboxCategories,
     useDoubleClick: true,
     bumpNeighbours: false,
-    multiFieldUpdate: true,
+    multiFieldUpdate: {
+      acrossBlockTypes: true,
+      filter: (sourceBlock, targetBlock) =>
+        !(window.multiFieldUpdateDeniedIds ?? []).includes(targetBlock.id) &&
+        (sourceBlock.type === targetBlock.type ||
+            !!window.multiFieldUpdateAcrossBlockTypes),
+    },
     multiselectIcon: {
       hideIcon: false,
       weight: 3,
@@ -100,9 +129,14 @@ document.addEventListener('DOMContentLoaded', function() {
       disabledIcon: 'media/unselect.svg',
     },
     multiSelectKeys: ['Shift'],
+    selectionShortcuts: true,
+    nudgeShortcuts: true,
+    selectableFilter: (element) =>
+      !(window.unselectableIds ?? []).includes(element.id),
     multiselectCopyPaste: {
       crossTab: true,
       menu: true,
+      codeGenerator: javascriptGenerator,
     },
     grid: {
       spacing: 25,